@@ -0,0 +1,289 @@
+'use strict';
+
+const { serviceDaySeconds } = require('./service_day');
+
+// Seconds into the service day, so "24:40" and "00:40" on an owl trip both sort after "23:50".
+function timeToSeconds(value) {
+  const t = String(value || '').trim();
+  const m = t.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const hh = Number(m[1]);
+  const mm = Number(m[2]);
+  const ss = Number(m[3] || 0);
+  if (hh > 47 || mm > 59 || ss > 59) return null;
+  return serviceDaySeconds(hh, mm, ss);
+}
+
+// The bus most recently seen on the block, and whether that rests on actual telemetry or only on the schedule.
+function pickCurrentBus(trips) {
+  const candidates = [];
+  for (const trip of trips || []) {
+    const busId = String(trip && trip.busId ? trip.busId : '').trim();
+    if (!/^\d{3,5}$/.test(busId)) continue;
+
+    const actualEnd = timeToSeconds(trip.actualEndTime);
+    const actualStart = timeToSeconds(trip.actualStartTime);
+    const scheduledStart = timeToSeconds(trip.scheduledStartTime);
+
+    // Prefer trips with real actual telemetry. Fall back to schedule only when needed.
+    const hasActual = actualEnd !== null || actualStart !== null;
+    const rank = hasActual ? (actualEnd ?? actualStart) : (scheduledStart ?? -1);
+
+    candidates.push({
+      busId,
+      hasActual: hasActual ? 1 : 0,
+      rank,
+      tie: actualStart ?? actualEnd ?? scheduledStart ?? -1,
+    });
+  }
+
+  candidates.sort((a, b) =>
+    b.hasActual - a.hasActual ||
+    b.rank - a.rank ||
+    b.tie - a.tie ||
+    b.busId.localeCompare(a.busId, undefined, { numeric: true })
+  );
+
+  if (!candidates.length) return null;
+  return { busId: candidates[0].busId, basis: candidates[0].hasActual ? 'actual' : 'scheduled' };
+}
+
+function pickMostRecentBusId(trips) {
+  const pick = pickCurrentBus(trips);
+  return pick ? pick.busId : null;
+}
+
+function tripBusId(trip) {
+  return String(trip && trip.busId ? trip.busId : '').trim();
+}
+
+function firstField(obj, names) {
+  for (const name of names) {
+    const value = obj && obj[name];
+    if (value !== undefined && value !== null && String(value).trim() !== '') return String(value).trim();
+  }
+  return null;
+}
+
+// blockDetails field names vary between feeds, so each field accepts a few spellings.
+function describeTrip(trip) {
+  return {
+    route: firstField(trip, ['routeId', 'route', 'routeShortName', 'routeNumber']),
+    headsign: firstField(trip, ['headsign', 'tripHeadsign', 'destination']),
+    scheduledStart: firstField(trip, ['scheduledStartTime']),
+    scheduledEnd: firstField(trip, ['scheduledEndTime']),
+    actualStart: firstField(trip, ['actualStartTime']),
+    actualEnd: firstField(trip, ['actualEndTime']),
+    busNumber: tripBusId(trip) || null,
+  };
+}
+
+function lastActivitySeconds(trips) {
+  let latest = -1;
+  for (const trip of trips) {
+    const value =
+      timeToSeconds(trip.actualEndTime) ?? timeToSeconds(trip.actualStartTime) ?? timeToSeconds(trip.scheduledStartTime);
+    if (value !== null && value > latest) latest = value;
+  }
+  return latest;
+}
+
+function delayMinutes(scheduled, actual) {
+  const s = timeToSeconds(scheduled);
+  const a = timeToSeconds(actual);
+  if (s === null || a === null) return null;
+  let diff = a - s;
+  // Times are clock strings, so a trip crossing midnight shows up as a ~24h jump.
+  if (diff > 12 * 3600) diff -= 24 * 3600;
+  if (diff < -12 * 3600) diff += 24 * 3600;
+  return Math.round(diff / 60);
+}
+
+function tripStatus(trip) {
+  if (trip.actualEnd) return 'completed';
+  if (trip.actualStart) return 'in-progress';
+  return 'scheduled';
+}
+
+function buildItinerary(trips) {
+  const rows = (trips || [])
+    .map((trip) => {
+      const d = describeTrip(trip);
+      return {
+        ...d,
+        status: tripStatus(d),
+        startDelayMin: delayMinutes(d.scheduledStart, d.actualStart),
+        endDelayMin: delayMinutes(d.scheduledEnd, d.actualEnd),
+      };
+    })
+    .map((row, order) => ({ row, order, start: timeToSeconds(row.scheduledStart) }))
+    .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity) || a.order - b.order)
+    .map(({ row }, index) => ({ index, ...row }));
+
+  const current = rows.filter((r) => r.status === 'in-progress').pop() || null;
+
+  // The next trip is the first one scheduled after the last trip with telemetry.
+  let lastSeen = -1;
+  rows.forEach((r) => {
+    if (r.status !== 'scheduled') lastSeen = r.index;
+  });
+  const next = rows.find((r) => r.index > lastSeen && r.status === 'scheduled') || null;
+
+  const last = rows.length ? rows[rows.length - 1] : null;
+  return {
+    trips: rows,
+    currentTrip: current,
+    nextTrip: next,
+    blockStart: rows.length ? rows[0].scheduledStart : null,
+    blockEnd: last ? last.actualEnd || last.scheduledEnd : null,
+    ended: Boolean(last && last.status === 'completed'),
+  };
+}
+
+// A trip counts as on time from 1 minute early to 5 minutes late.
+const ON_TIME_EARLY_MIN = 1;
+const ON_TIME_LATE_MIN = 5;
+const RECENT_TRIPS = 3;
+// Past this, a trip that never reported its end is more likely missing telemetry than that late.
+const MAX_OVERDUE_MIN = 90;
+
+function adherenceStatus(delayMin) {
+  if (delayMin === null || delayMin === undefined) return 'unknown';
+  if (delayMin > ON_TIME_LATE_MIN) return 'late';
+  if (delayMin < -ON_TIME_EARLY_MIN) return 'early';
+  return 'on-time';
+}
+
+function describeAdherence(status, delayMin) {
+  if (status === 'late') return `${delayMin} min late`;
+  if (status === 'early') return `${-delayMin} min early`;
+  if (status === 'on-time') return 'on time';
+  if (status === 'ended') return 'block ended';
+  if (status === 'not-started') return 'not started';
+  return 'no schedule data';
+}
+
+function adherenceTrip(row) {
+  return {
+    index: row.index,
+    route: row.route,
+    headsign: row.headsign,
+    scheduledStart: row.scheduledStart,
+    scheduledEnd: row.scheduledEnd,
+    actualStart: row.actualStart,
+    actualEnd: row.actualEnd,
+    startDelayMin: row.startDelayMin,
+    endDelayMin: row.endDelayMin,
+  };
+}
+
+// How far behind schedule the block is right now (negative when early). `nowSeconds` is the time into the
+// service day and is only given for today's service day: it lets a trip that is overdue to finish, or a
+// departure that has not happened yet, count as late before the feed reports it.
+function buildAdherence(trips, nowSeconds = null) {
+  const { trips: rows, currentTrip, nextTrip, ended } = buildItinerary(trips);
+  const completed = rows.filter((r) => r.status === 'completed');
+  const recentTrips = completed.slice(-RECENT_TRIPS).map(adherenceTrip);
+  const overdueMin = (time) => {
+    const at = timeToSeconds(time);
+    if (nowSeconds === null || at === null || nowSeconds <= at) return null;
+    const minutes = Math.round((nowSeconds - at) / 60);
+    return minutes > MAX_OVERDUE_MIN ? null : minutes;
+  };
+
+  let delayMin = null;
+  let basis = null;
+  if (currentTrip) {
+    delayMin = currentTrip.startDelayMin;
+    basis = 'trip-start';
+    const overdue = overdueMin(currentTrip.scheduledEnd);
+    if (overdue !== null && (delayMin === null || overdue > delayMin)) {
+      delayMin = overdue;
+      basis = 'trip-end-overdue';
+    }
+  } else if (!ended && completed.length) {
+    const last = completed[completed.length - 1];
+    delayMin = last.endDelayMin;
+    basis = 'last-trip-end';
+    const overdue = nextTrip ? overdueMin(nextTrip.scheduledStart) : null;
+    if (overdue !== null && (delayMin === null || overdue > delayMin)) {
+      delayMin = overdue;
+      basis = 'departure-overdue';
+    }
+  }
+
+  let status = adherenceStatus(delayMin);
+  if (ended) status = 'ended';
+  else if (!currentTrip && !completed.length) status = 'not-started';
+
+  return {
+    status,
+    delayMin: status === 'ended' || status === 'not-started' ? null : delayMin,
+    basis: status === 'ended' || status === 'not-started' ? null : basis,
+    summary: describeAdherence(status, delayMin),
+    currentTrip: currentTrip ? adherenceTrip(currentTrip) : null,
+    recentTrips,
+  };
+}
+
+// Groups consecutive trips run by the same bus, so mid-day change-offs show up as separate segments.
+function buildVehicleHistory(trips) {
+  const { trips: rows } = buildItinerary(trips);
+  const pick = pickCurrentBus(trips);
+  const currentBus = pick ? pick.busId : null;
+  const vehicles = [];
+
+  for (const row of rows) {
+    if (!row.busNumber) continue;
+    const last = vehicles[vehicles.length - 1];
+    if (last && last.busNumber === row.busNumber) {
+      last.lastTripIndex = row.index;
+      last.tripCount += 1;
+      last.to = row.actualEnd || row.scheduledEnd;
+      last.hasTelemetry = last.hasTelemetry || row.status !== 'scheduled';
+      continue;
+    }
+    vehicles.push({
+      busNumber: row.busNumber,
+      firstTripIndex: row.index,
+      lastTripIndex: row.index,
+      tripCount: 1,
+      from: row.actualStart || row.scheduledStart,
+      to: row.actualEnd || row.scheduledEnd,
+      hasTelemetry: row.status !== 'scheduled',
+    });
+  }
+
+  // The same bus can come back later in the day; only its latest segment is the current one.
+  const currentSegment = vehicles.filter((v) => v.busNumber === currentBus).pop() || null;
+  for (const v of vehicles) v.current = v === currentSegment;
+
+  const swaps = [];
+  for (let i = 1; i < vehicles.length; i += 1) {
+    swaps.push({
+      fromBus: vehicles[i - 1].busNumber,
+      toBus: vehicles[i].busNumber,
+      at: vehicles[i].from,
+      tripIndex: vehicles[i].firstTripIndex,
+      // A swap onto a bus with no telemetry yet is only scheduled, not confirmed.
+      pending: !vehicles[i].hasTelemetry,
+    });
+  }
+
+  return { currentBus, currentBasis: pick ? pick.basis : null, vehicles, swaps };
+}
+
+module.exports = {
+  ON_TIME_EARLY_MIN,
+  ON_TIME_LATE_MIN,
+  adherenceStatus,
+  buildAdherence,
+  buildItinerary,
+  buildVehicleHistory,
+  delayMinutes,
+  describeTrip,
+  lastActivitySeconds,
+  pickMostRecentBusId,
+  timeToSeconds,
+  tripBusId,
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+const { createBrowser } = require('./track_block');
+
+// Keeps one Chromium and up to `size` long-lived contexts for the fallback tracker.
+// A context is recycled after `maxUses` lookups, when a lookup fails unexpectedly, or when it closes.
+function createBrowserPool({ size, maxUses, headless = true, defaultTimeoutMs = 15000 }) {
+  const items = new Set();
+  const idle = [];
+  const waiters = [];
+  let browserPromise = null;
+  const stats = { launches: 0, created: 0, recycled: 0, crashed: 0, leases: 0, lastError: null };
+
+  function getBrowser() {
+    if (!browserPromise) {
+      stats.launches += 1;
+      browserPromise = createBrowser(headless)
+        .then((browser) => {
+          browser.on('disconnected', () => {
+            stats.crashed += 1;
+            browserPromise = null;
+            for (const item of idle) items.delete(item);
+            idle.length = 0;
+            for (const item of items) item.dead = true;
+          });
+          return browser;
+        })
+        .catch((err) => {
+          browserPromise = null;
+          stats.lastError = String(err.message || err).split('\n')[0];
+          throw err;
+        });
+    }
+    return browserPromise;
+  }
+
+  async function createItem() {
+    const item = { context: null, uses: 0, dead: false };
+    items.add(item);
+    try {
+      const browser = await getBrowser();
+      item.context = await browser.newContext();
+      item.context.setDefaultTimeout(defaultTimeoutMs);
+      item.context.on('close', () => {
+        item.dead = true;
+      });
+      stats.created += 1;
+      return item;
+    } catch (err) {
+      items.delete(item);
+      wakeWaiter();
+      throw err;
+    }
+  }
+
+  async function destroyItem(item) {
+    items.delete(item);
+    const i = idle.indexOf(item);
+    if (i >= 0) idle.splice(i, 1);
+    if (item.context) await item.context.close().catch(() => {});
+  }
+
+  function wakeWaiter() {
+    if (!waiters.length) return;
+    let next;
+    while ((next = idle.shift())) {
+      if (!next.dead) break;
+      // destroyItem drops the item from `items` before it awaits, so the size check below sees the room.
+      destroyItem(next);
+      next = null;
+    }
+    if (next) {
+      waiters.shift().resolve(next);
+      return;
+    }
+    if (items.size < size) {
+      const waiter = waiters.shift();
+      createItem().then(waiter.resolve, waiter.reject);
+    }
+  }
+
+  async function acquire() {
+    let item;
+    while ((item = idle.shift())) {
+      if (!item.dead) break;
+      await destroyItem(item);
+      item = null;
+    }
+
+    if (!item && items.size < size) item = await createItem();
+    if (!item) item = await new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+
+    item.uses += 1;
+    stats.leases += 1;
+    return item;
+  }
+
+  async function release(item, { broken = false } = {}) {
+    if (broken || item.dead || item.uses >= maxUses) {
+      stats.recycled += 1;
+      await destroyItem(item);
+    } else {
+      // Pages left open by a failed lookup would leak into the next one.
+      await Promise.all(item.context.pages().map((page) => page.close().catch(() => {})));
+      idle.push(item);
+    }
+    wakeWaiter();
+  }
+
+  async function warmUp(count) {
+    const target = Math.min(count, size);
+    while (items.size < target) {
+      try {
+        const item = await createItem();
+        idle.push(item);
+      } catch (err) {
+        console.error(`Browser pool warm-up failed: ${stats.lastError || err.message}`);
+        return;
+      }
+    }
+  }
+
+  function snapshot() {
+    return {
+      size,
+      maxUses,
+      open: items.size,
+      idle: idle.length,
+      busy: items.size - idle.length,
+      waiting: waiters.length,
+      ...stats,
+    };
+  }
+
+  return { acquire, release, snapshot, warmUp };
+}
+
+module.exports = { createBrowserPool };
@@ -0,0 +1,57 @@
+'use strict';
+
+// AbortSignal helpers. A timed-out lookup aborts its signal, and everything it started (queued jobs,
+// upstream sockets, browser pages) stops too instead of running on after the caller has given up.
+// Signals are always aborted with an Error as the reason, which is what callers receive.
+
+// Settles like `promise`, or rejects with the abort reason as soon as `signal` aborts.
+function raceSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Work shared by several callers (a cache load, a de-duplicated lookup). Each caller joins with its own
+// signal, and the work itself is only aborted once every caller has given up. A caller without a
+// signal keeps it running to the end.
+function createSharedTask(start) {
+  const controller = new AbortController();
+  let waiters = 0;
+  let pinned = false;
+  const promise = Promise.resolve().then(() => start(controller.signal));
+  promise.catch(() => {});
+
+  function leave(reason) {
+    if (!waiters && !pinned) controller.abort(reason);
+  }
+
+  function join(signal) {
+    if (!signal) {
+      pinned = true;
+      return promise;
+    }
+    if (signal.aborted) {
+      leave(signal.reason);
+      return Promise.reject(signal.reason);
+    }
+
+    waiters += 1;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        waiters -= 1;
+        leave(signal.reason);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  return { join, promise };
+}
+
+module.exports = { createSharedTask, raceSignal };
@@ -0,0 +1,53 @@
+'use strict';
+
+// Turns a chat message into one intent. Staff type full sentences ("when does 44-07 end?"),
+// so each intent is recognised by its keywords and the block, bus or route number in it.
+//
+//   { intent: 'help' }
+//   { intent: 'bus', busNumber }
+//   { intent: 'block-end' | 'next-trip' | 'trips', block }
+//   { intent: 'block', blocks }
+//   { intent: 'route', route }
+//   { intent: 'unknown' }
+
+const BLOCK_PATTERN = /\b\d{1,3}-\d{1,3}\b/g;
+
+const HELP_PATTERN = /^(?:help|\?+|hi|hello|hey|commands|what can you do|how does this work)[\s?!.]*$/i;
+const BUS_PATTERN = /\b(?:bus|vehicle|coach|unit)\s*(?:number|no\.?|#)?\s*#?\s*(\d{3,5})\b/i;
+const ROUTE_PATTERN = /\broute\s*(?:number|no\.?|#)?\s*#?\s*(\d{1,3})\b/i;
+const END_PATTERN = /\b(?:end|ends|ending|finish|finishes|finishing|done|over|last trip|pull[- ]?in)\b/i;
+// "next stop" asks where the bus is, not about the block's next trip.
+const NEXT_PATTERN = /\bnext\b(?!\s+stops?\b)/i;
+const TRIPS_PATTERN = /\b(?:trips|itinerary|schedule|timetable|all trips)\b/i;
+
+function parseChatIntent(message) {
+  const text = String(message || '').replace(/\s+/g, ' ').trim();
+  if (!text || HELP_PATTERN.test(text)) return { intent: 'help' };
+
+  const blocks = (text.match(BLOCK_PATTERN) || []).map((b) => b.toUpperCase());
+  if (blocks.length === 1) {
+    if (END_PATTERN.test(text)) return { intent: 'block-end', block: blocks[0] };
+    if (NEXT_PATTERN.test(text)) return { intent: 'next-trip', block: blocks[0] };
+    if (TRIPS_PATTERN.test(text)) return { intent: 'trips', block: blocks[0] };
+  }
+
+  const bus = text.match(BUS_PATTERN);
+  if (bus) return { intent: 'bus', busNumber: bus[1] };
+
+  if (blocks.length) return { intent: 'block', blocks };
+
+  const route = text.match(ROUTE_PATTERN);
+  if (route) return { intent: 'route', route: route[1] };
+
+  // A bare number: OC Transpo buses have four or five digits, routes at most three.
+  const bare = text.match(/^#?(\d{1,5})\??$/);
+  if (bare) return bare[1].length >= 4 ? { intent: 'bus', busNumber: bare[1] } : { intent: 'route', route: bare[1] };
+
+  // "where is 4602" without the word "bus".
+  const whereBus = text.match(/\bwhere(?:'s| is)\s+#?(\d{4,5})\b/i);
+  if (whereBus) return { intent: 'bus', busNumber: whereBus[1] };
+
+  return { intent: 'unknown' };
+}
+
+module.exports = { parseChatIntent };
@@ -0,0 +1,146 @@
+'use strict';
+
+const { createGauge } = require('./metrics');
+
+const FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD || 5);
+const COOLDOWN_MS = Number(process.env.CIRCUIT_COOLDOWN_MS || 30 * 1000);
+const HALF_OPEN_PROBES = Number(process.env.CIRCUIT_HALF_OPEN_PROBES || 1);
+const ERROR_WINDOW_MS = Number(process.env.CIRCUIT_ERROR_WINDOW_MS || 5 * 60 * 1000);
+const MAX_OUTCOMES = 1000;
+
+// closed: calls go through. open: calls fail fast until `cooldownMs` has passed.
+// half-open: up to `halfOpenProbes` calls go through; one success closes the circuit, one failure reopens it.
+function createCircuitBreaker({
+  name,
+  label,
+  failureThreshold = FAILURE_THRESHOLD,
+  cooldownMs = COOLDOWN_MS,
+  halfOpenProbes = HALF_OPEN_PROBES,
+  windowMs = ERROR_WINDOW_MS,
+}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = 0;
+  let probesInFlight = 0;
+  let lastError = null;
+  let lastFailureAt = null;
+  let timesOpened = 0;
+  let rejected = 0;
+  const outcomes = [];
+
+  function noteOutcome(failed) {
+    const now = Date.now();
+    outcomes.push({ at: now, failed });
+    while (outcomes.length && (outcomes[0].at < now - windowMs || outcomes.length > MAX_OUTCOMES)) outcomes.shift();
+  }
+
+  function retryAfterSec() {
+    return Math.max(1, Math.ceil((openedAt + cooldownMs - Date.now()) / 1000));
+  }
+
+  function isOpen() {
+    if (state === 'open') return Date.now() - openedAt < cooldownMs;
+    return state === 'half-open' && probesInFlight >= halfOpenProbes;
+  }
+
+  function openError() {
+    const wait = retryAfterSec();
+    const reason = lastError ? ` Last error: ${lastError}` : '';
+    return Object.assign(
+      new Error(`${label} is unavailable (circuit open after repeated failures, retry in ${wait}s).${reason}`),
+      { code: 503, source: name, circuitOpen: true, retryAfterSec: wait }
+    );
+  }
+
+  function trip(err) {
+    state = 'open';
+    openedAt = Date.now();
+    timesOpened += 1;
+    lastError = String((err && err.message) || err || 'Unexpected error').split('\n')[0].slice(0, 200);
+  }
+
+  // `isFailure(err)` decides whether an error says something about the upstream's health
+  // (a 404 for an unknown block does not).
+  async function run(fn, isFailure = () => true) {
+    if (state === 'open' && Date.now() - openedAt >= cooldownMs) state = 'half-open';
+    if (isOpen()) {
+      rejected += 1;
+      throw openError();
+    }
+
+    const probing = state === 'half-open';
+    if (probing) probesInFlight += 1;
+    try {
+      const result = await fn();
+      noteOutcome(false);
+      consecutiveFailures = 0;
+      if (probing) state = 'closed';
+      return result;
+    } catch (err) {
+      // Our own cancellation says nothing about the upstream.
+      if (err && err.aborted) throw err;
+      if (!isFailure(err)) {
+        noteOutcome(false);
+        consecutiveFailures = 0;
+        if (probing) state = 'closed';
+        throw err;
+      }
+      noteOutcome(true);
+      consecutiveFailures += 1;
+      lastFailureAt = new Date().toISOString();
+      lastError = String((err && err.message) || err || 'Unexpected error').split('\n')[0].slice(0, 200);
+      if (probing || consecutiveFailures >= failureThreshold) trip(err);
+      throw err;
+    } finally {
+      if (probing) probesInFlight -= 1;
+    }
+  }
+
+  function snapshot() {
+    const now = Date.now();
+    const recent = outcomes.filter((o) => o.at >= now - windowMs);
+    const failures = recent.filter((o) => o.failed).length;
+    const cooling = state === 'open' && now - openedAt < cooldownMs;
+    return {
+      label,
+      state: state === 'open' && !cooling ? 'half-open' : state,
+      consecutiveFailures,
+      failureThreshold,
+      cooldownSec: Math.round(cooldownMs / 1000),
+      retryAfterSec: cooling ? retryAfterSec() : 0,
+      windowSec: Math.round(windowMs / 1000),
+      recentCalls: recent.length,
+      recentFailures: failures,
+      errorRate: recent.length ? Number((failures / recent.length).toFixed(3)) : 0,
+      timesOpened,
+      rejected,
+      lastError,
+      lastFailureAt,
+    };
+  }
+
+  return { isOpen, name, openError, run, snapshot };
+}
+
+// One circuit per upstream: the two HTTP sources and each page the browser fallback drives.
+const circuits = {
+  bettertransit: createCircuitBreaker({ name: 'bettertransit', label: 'BetterTransit API' }),
+  transsee: createCircuitBreaker({ name: 'transsee', label: 'TransSee' }),
+  'playwright:bettertransit': createCircuitBreaker({
+    name: 'playwright:bettertransit',
+    label: 'BetterTransit tracker page (browser)',
+  }),
+  'playwright:transsee': createCircuitBreaker({ name: 'playwright:transsee', label: 'TransSee (browser)' }),
+};
+
+createGauge({
+  name: 'octracker_circuit_open',
+  help: 'Whether the circuit for an upstream source is open and failing fast (1) or not (0).',
+  collect: () => Object.entries(circuits).map(([source, c]) => ({ labels: { source }, value: c.isOpen() ? 1 : 0 })),
+});
+
+function circuitSnapshot() {
+  return Object.fromEntries(Object.entries(circuits).map(([key, circuit]) => [key, circuit.snapshot()]));
+}
+
+module.exports = { circuitSnapshot, circuits, createCircuitBreaker };
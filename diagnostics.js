@@ -0,0 +1,160 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const REQUEST_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+function newRequestId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Collects what one lookup did: upstream URLs, timings, screenshots and page HTML.
+// track_block.js fills it in through `noteUrl` and `addArtifact` when it is passed as options.diagnostics.
+function createDiagnostics(subject) {
+  const startedMs = Date.now();
+  const diag = {
+    requestId: newRequestId(),
+    subject,
+    startedAt: new Date(startedMs).toISOString(),
+    urls: [],
+    timings: {},
+    attempts: [],
+    artifacts: [],
+  };
+
+  diag.noteAttempt = (source, err) => {
+    diag.attempts.push({
+      source,
+      error: String((err && err.message) || 'Unexpected error').slice(0, 2000),
+      code: err && err.code !== undefined ? err.code : null,
+      step: (err && err.step) || null,
+    });
+  };
+
+  diag.noteUrl = (url) => {
+    if (url && diag.urls[diag.urls.length - 1] !== url) diag.urls.push(String(url));
+  };
+
+  diag.addArtifact = (name, data) => {
+    diag.artifacts.push({ name: String(name).replace(/[^0-9A-Za-z_.-]/g, '_'), data });
+  };
+
+  // Records how long `fn` took under `name`, whether it resolves or throws.
+  diag.time = async (name, fn) => {
+    const started = Date.now();
+    try {
+      return await fn();
+    } finally {
+      diag.timings[name] = { startMs: started - startedMs, durationMs: Date.now() - started };
+    }
+  };
+
+  return diag;
+}
+
+// Failed lookups are written to `dir/<requestId>/` and deleted after `ttlMs`.
+function createDiagnosticsStore({ dir, ttlMs, maxBundles = 200 }) {
+  let timer = null;
+  let saved = 0;
+
+  async function save(diag, err) {
+    const bundleDir = path.join(dir, diag.requestId);
+    const manifest = {
+      requestId: diag.requestId,
+      subject: diag.subject,
+      startedAt: diag.startedAt,
+      finishedAt: new Date().toISOString(),
+      error: {
+        message: String((err && err.message) || 'Unexpected error').slice(0, 2000),
+        code: err && err.code !== undefined ? err.code : null,
+        step: (err && err.step) || null,
+        busNumber: (err && err.busNumber) || null,
+      },
+      attempts: diag.attempts,
+      urls: diag.urls,
+      timings: diag.timings,
+      files: diag.artifacts.map((a) => a.name),
+    };
+
+    try {
+      await fs.promises.mkdir(bundleDir, { recursive: true });
+      for (const artifact of diag.artifacts) {
+        await fs.promises.writeFile(path.join(bundleDir, artifact.name), artifact.data);
+      }
+      await fs.promises.writeFile(path.join(bundleDir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+      saved += 1;
+    } catch (e) {
+      console.error(`Failed to save diagnostic bundle ${diag.requestId}: ${e.message}`);
+    }
+  }
+
+  async function read(requestId) {
+    if (!REQUEST_ID_PATTERN.test(String(requestId || ''))) return null;
+    const bundleDir = path.join(dir, requestId);
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.promises.readFile(path.join(bundleDir, 'manifest.json'), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+
+    const files = [];
+    for (const name of manifest.files || []) {
+      try {
+        const data = await fs.promises.readFile(path.join(bundleDir, path.basename(name)));
+        files.push({ name, encoding: 'base64', data: data.toString('base64') });
+      } catch (_) {
+        // A file removed by hand is just left out of the download.
+      }
+    }
+    return { manifest, files };
+  }
+
+  async function cleanup() {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (_) {
+      return;
+    }
+
+    const bundles = [];
+    for (const name of names.filter((n) => REQUEST_ID_PATTERN.test(n))) {
+      try {
+        const stat = await fs.promises.stat(path.join(dir, name));
+        bundles.push({ name, mtimeMs: stat.mtimeMs });
+      } catch (_) {
+        // Already gone.
+      }
+    }
+
+    bundles.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    const cutoff = Date.now() - ttlMs;
+    const expired = bundles.filter((b, i) => b.mtimeMs < cutoff || i >= maxBundles);
+    for (const bundle of expired) {
+      await fs.promises.rm(path.join(dir, bundle.name), { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  function start() {
+    cleanup();
+    timer = setInterval(cleanup, Math.min(ttlMs, 60 * 60 * 1000));
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function snapshot() {
+    return { saved, ttlSec: Math.round(ttlMs / 1000) };
+  }
+
+  return { cleanup, read, save, snapshot, start, stop };
+}
+
+module.exports = { createDiagnostics, createDiagnosticsStore };
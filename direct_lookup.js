@@ -0,0 +1,265 @@
+'use strict';
+
+// Direct HTTP lookups against BetterTransit and TransSee, shared by the web server and the CLI.
+
+const { buildAdherence, buildVehicleHistory } = require('./block_trips');
+const {
+  htmlToLines,
+  parseLocationLine,
+  pickBestLocationRawLine,
+  stripLocationSuffix,
+} = require('./location_parser');
+const { createCounter } = require('./metrics');
+const { currentServiceDate, serviceDayClock } = require('./service_day');
+const { createTtlCache, noteFreshness } = require('./ttl_cache');
+const { httpGetText, upstreamUrl } = require('./upstream_http');
+
+const caches = {
+  blockList: createTtlCache({
+    name: 'blockList',
+    ttlMs: Number(process.env.BLOCK_LIST_TTL_MS || 10 * 60 * 1000),
+    staleMs: Number(process.env.BLOCK_LIST_STALE_MS || 60 * 60 * 1000),
+    maxEntries: 10,
+  }),
+  blockDetails: createTtlCache({
+    name: 'blockDetails',
+    ttlMs: Number(process.env.BLOCK_DETAILS_TTL_MS || 30 * 1000),
+    staleMs: Number(process.env.BLOCK_DETAILS_STALE_MS || 2 * 60 * 1000),
+    maxEntries: 2000,
+  }),
+  locations: createTtlCache({
+    name: 'locations',
+    ttlMs: Number(process.env.LOCATION_TTL_MS || 15 * 1000),
+    staleMs: Number(process.env.LOCATION_STALE_MS || 45 * 1000),
+    maxEntries: 1000,
+  }),
+};
+
+// Counted once per block lookup; scans, watches and route listings pick buses too but are not counted.
+const currentBusPicks = createCounter({
+  name: 'octracker_current_bus_picks_total',
+  help: 'Current-bus picks per block lookup by basis: actual telemetry, or scheduled times when no trip had telemetry.',
+  labelNames: ['basis'],
+});
+
+function normalizeBlock(input) {
+  return String(input || '').trim().toUpperCase();
+}
+
+function isLikelyBlock(block) {
+  return /^[0-9]{1,3}-[0-9]{1,3}$/.test(block);
+}
+
+// BetterTransit wants a timestamp inside the service day; `serviceDate` defaults to the current one.
+function getOttawaServiceDateIso(serviceDate) {
+  return `${serviceDate || currentServiceDate()}T10:00:00.000Z`;
+}
+
+async function cachedGetText(cache, url, freshness, signal) {
+  const entry = await cache.get(url, (loadSignal) => httpGetText(url, undefined, loadSignal), signal);
+  noteFreshness(freshness, entry);
+  return entry.value;
+}
+
+function blockDetailsUrl(block, serviceDate) {
+  const dateIso = getOttawaServiceDateIso(serviceDate);
+  return upstreamUrl(
+    'bettertransit',
+    `/api/blockDetails?blockId=${encodeURIComponent(block)}&date=${encodeURIComponent(dateIso)}`
+  );
+}
+
+async function fetchBlockTrips(block, serviceDate, freshness, signal) {
+  const detailsUrl = blockDetailsUrl(block, serviceDate);
+
+  let payload;
+  try {
+    payload = JSON.parse(await cachedGetText(caches.blockDetails, detailsUrl, freshness, signal));
+  } catch (err) {
+    if (err.circuitOpen || (signal && signal.aborted)) throw err;
+    throw new Error(`Failed to read BetterTransit data: ${err.message}`);
+  }
+
+  const trips = payload && payload[block] ? payload[block] : null;
+  if (!Array.isArray(trips)) {
+    throw Object.assign(new Error(`Block not found: ${block}`), { code: 404 });
+  }
+  return trips;
+}
+
+async function fetchBusesForBlock(block, serviceDate, freshness, signal) {
+  const trips = await fetchBlockTrips(block, serviceDate, freshness, signal);
+
+  const history = buildVehicleHistory(trips);
+  if (!history.currentBus) {
+    throw Object.assign(new Error(`No bus numbers found for block: ${block}`), { code: 404 });
+  }
+
+  return { ...history, trips };
+}
+
+async function fetchAvailableBlocks(serviceDate, freshness, signal) {
+  const dateIso = getOttawaServiceDateIso(serviceDate);
+  const blocksUrl = upstreamUrl('bettertransit', `/api/blocks?date=${encodeURIComponent(dateIso)}`);
+  let payload;
+  try {
+    payload = JSON.parse(await cachedGetText(caches.blockList, blocksUrl, freshness, signal));
+  } catch (err) {
+    if (err.circuitOpen || (signal && signal.aborted)) throw err;
+    throw new Error(`Failed to read block list: ${err.message}`);
+  }
+  if (!Array.isArray(payload)) {
+    throw new Error('Invalid block list payload');
+  }
+  return payload
+    .map((row) => String(row && row.blockId ? row.blockId : '').trim().toUpperCase())
+    .filter(Boolean);
+}
+
+function blockNumericKey(block) {
+  const [a, b] = String(block || '').split('-');
+  if (!/^\d+$/.test(a || '') || !/^\d+$/.test(b || '')) return null;
+  return `${Number(a)}-${Number(b)}`;
+}
+
+async function resolveCanonicalBlock(inputBlock, serviceDate, freshness, signal) {
+  const available = await fetchAvailableBlocks(serviceDate, freshness, signal);
+  const exact = available.find((b) => b === inputBlock);
+  if (exact) return exact;
+
+  const inputKey = blockNumericKey(inputBlock);
+  if (!inputKey) return null;
+
+  const keyToCanonical = new Map();
+  for (const b of available) {
+    const key = blockNumericKey(b);
+    if (key && !keyToCanonical.has(key)) keyToCanonical.set(key, b);
+  }
+  return keyToCanonical.get(inputKey) || null;
+}
+
+// Optimal string alignment distance: like Levenshtein, but swapping two neighbours ("70" for "07") costs 1.
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j += 1) d[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function isBlockPrefix(prefix) {
+  return /^[0-9]{1,3}(-[0-9]{0,3})?$/.test(prefix);
+}
+
+// "44-7" also matches "44-07" and "44-70", the same way blockNumericKey ignores leading zeros.
+function filterBlocksByPrefix(available, prefix) {
+  const p = normalizeBlock(prefix);
+  const looseKey = p
+    .split('-')
+    .map((part) => (part ? String(Number(part)) : part))
+    .join('-');
+  return available.filter((block) => {
+    if (block.startsWith(p)) return true;
+    const key = blockNumericKey(block);
+    return Boolean(key && key.startsWith(looseKey));
+  });
+}
+
+// Closest valid blocks for a block that does not exist: a single typo or swapped pair of digits,
+// then other blocks on the same route, nearest run number first.
+function suggestBlocks(inputBlock, available, limit = 5) {
+  const input = normalizeBlock(inputBlock);
+  const inputKey = blockNumericKey(input);
+  const [inputRoute, inputRun] = inputKey ? inputKey.split('-').map(Number) : [null, null];
+
+  const scored = [];
+  for (const block of new Set(available)) {
+    const key = blockNumericKey(block);
+    const [route, run] = key ? key.split('-').map(Number) : [null, null];
+    const distance = Math.min(editDistance(input, block), inputKey && key ? editDistance(inputKey, key) : Infinity);
+    const sameRoute = inputRoute !== null && route === inputRoute;
+    if (distance > 1 && !sameRoute) continue;
+    scored.push({
+      block,
+      distance: sameRoute ? Math.min(distance, 2) : distance,
+      gap: sameRoute ? Math.abs(run - inputRun) : Infinity,
+    });
+  }
+
+  return scored
+    .sort((a, b) => a.distance - b.distance || a.gap - b.gap || a.block.localeCompare(b.block, undefined, { numeric: true }))
+    .slice(0, limit)
+    .map((row) => row.block);
+}
+
+async function blockNotFoundError(inputBlock, serviceDate, freshness) {
+  let suggestions = [];
+  try {
+    suggestions = suggestBlocks(inputBlock, await fetchAvailableBlocks(serviceDate, freshness));
+  } catch (_) {
+    // Suggestions are a nicety; the block list failing here just leaves them out.
+  }
+  const hint = suggestions.length ? `. Did you mean ${suggestions.join(', ')}?` : '';
+  return Object.assign(new Error(`Block not found: ${inputBlock}${hint}`), { code: 404, suggestions });
+}
+
+async function fetchLocationForBus(busNumber, freshness, signal) {
+  const url = upstreamUrl('transsee', `/fleetfind?a=octranspo&q=${encodeURIComponent(busNumber)}&Go=Go`);
+  const html = await cachedGetText(caches.locations, url, freshness, signal);
+  const lines = htmlToLines(html);
+  const rawLine = pickBestLocationRawLine(lines, busNumber);
+  const locationText = rawLine ? stripLocationSuffix(rawLine) : null;
+
+  if (!locationText) {
+    throw Object.assign(new Error(`No location found for bus ${busNumber}`), { code: 404 });
+  }
+
+  return {
+    busNumber: String(busNumber),
+    locationText,
+    locationDetails: parseLocationLine(rawLine),
+    url,
+  };
+}
+
+// Adherence against the clock only makes sense for today's service day.
+function blockAdherence(trips, serviceDate) {
+  const clock = serviceDayClock();
+  return buildAdherence(trips, !serviceDate || serviceDate === clock.date ? clock.seconds : null);
+}
+
+// The location is always live, even for a past service day.
+async function fetchDirectResult(block, serviceDate, freshness, signal) {
+  const { currentBus, currentBasis, vehicles, swaps, trips } = await fetchBusesForBlock(block, serviceDate, freshness, signal);
+  currentBusPicks.inc({ basis: currentBasis });
+  const location = await fetchLocationForBus(currentBus, freshness, signal);
+  const adherence = blockAdherence(trips, serviceDate);
+  return { block, buses: [location], vehicles, swaps, adherence, freshness, source: 'direct' };
+}
+
+module.exports = {
+  blockAdherence,
+  blockDetailsUrl,
+  blockNotFoundError,
+  blockNumericKey,
+  caches,
+  fetchAvailableBlocks,
+  fetchBlockTrips,
+  fetchBusesForBlock,
+  fetchDirectResult,
+  fetchLocationForBus,
+  filterBlocksByPrefix,
+  getOttawaServiceDateIso,
+  isBlockPrefix,
+  isLikelyBlock,
+  normalizeBlock,
+  resolveCanonicalBlock,
+  suggestBlocks,
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minutes east of UTC for America/Toronto at the given instant (e.g. -240 in summer).
+function torontoOffsetMinutes(date) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: 'America/Toronto', timeZoneName: 'shortOffset' })
+    .formatToParts(date)
+    .find((p) => p.type === 'timeZoneName');
+  const m = String(name ? name.value : '').match(/GMT([+-])(\d{1,2})(?::(\d{2}))?/);
+  if (!m) return 0;
+  const minutes = Number(m[2]) * 60 + Number(m[3] || 0);
+  return m[1] === '-' ? -minutes : minutes;
+}
+
+// Accepts ISO timestamps, or YYYY-MM-DD meaning that whole day in Ottawa time.
+function parseRangeBound(value, isEnd) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const utcMidnight = new Date(`${text}T00:00:00.000Z`);
+    if (Number.isNaN(utcMidnight.getTime())) return NaN;
+    const offset = torontoOffsetMinutes(new Date(utcMidnight.getTime() + 12 * 60 * 60 * 1000));
+    const start = utcMidnight.getTime() - offset * 60 * 1000;
+    return isEnd ? start + DAY_MS : start;
+  }
+
+  const ms = Date.parse(text);
+  return Number.isNaN(ms) ? NaN : ms;
+}
+
+// Append-only JSON-lines log of successful lookups. Rows older than the retention period
+// are dropped by a periodic rewrite of the file.
+function createHistoryStore({ filePath, retentionDays, pruneEveryMs = 6 * 60 * 60 * 1000 }) {
+  let chain = Promise.resolve();
+  let timer = null;
+
+  // Appends and prunes both touch the file, so they run one at a time.
+  function serialize(task) {
+    const run = chain.then(task);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  function append(rows) {
+    const list = (Array.isArray(rows) ? rows : [rows]).filter(Boolean);
+    if (!list.length) return Promise.resolve();
+    const text = list.map((row) => JSON.stringify(row)).join('\n');
+    return serialize(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${text}\n`);
+    }).catch((err) => {
+      console.error(`Failed to write history to ${filePath}: ${err.message}`);
+    });
+  }
+
+  async function forEachRow(visit) {
+    let input;
+    try {
+      input = fs.createReadStream(filePath, { encoding: 'utf8' });
+      await new Promise((resolve, reject) => {
+        input.once('open', resolve);
+        input.once('error', reject);
+      });
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        visit(JSON.parse(line), line);
+      } catch (_) {
+        // Skip a torn or hand-edited line rather than failing the whole query.
+      }
+    }
+  }
+
+  async function query({ match, from = null, to = null, limit = 200 }) {
+    const rows = [];
+    await forEachRow((row) => {
+      const at = Date.parse(row.at);
+      if (from !== null && !(at >= from)) return;
+      if (to !== null && !(at < to)) return;
+      if (match && !match(row)) return;
+      rows.push(row);
+    });
+    rows.sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+    return rows.slice(0, limit);
+  }
+
+  function prune() {
+    return serialize(async () => {
+      const cutoff = Date.now() - retentionDays * DAY_MS;
+      const kept = [];
+      let dropped = 0;
+      await forEachRow((row, line) => {
+        if (Date.parse(row.at) >= cutoff) kept.push(line);
+        else dropped += 1;
+      });
+      if (!dropped) return 0;
+
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, kept.length ? `${kept.join('\n')}\n` : '');
+      await fs.promises.rename(tmpPath, filePath);
+      return dropped;
+    }).catch((err) => {
+      console.error(`Failed to prune history in ${filePath}: ${err.message}`);
+      return 0;
+    });
+  }
+
+  function start() {
+    prune();
+    timer = setInterval(prune, pruneEveryMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { append, prune, query, start, stop };
+}
+
+module.exports = { createHistoryStore, parseRangeBound };
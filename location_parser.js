@@ -0,0 +1,259 @@
+'use strict';
+
+const STALE_LOCATION_SEC = Number(process.env.STALE_LOCATION_SEC || 180);
+
+const ARROW_HEADINGS = {
+  '↑': 'N',
+  '↗': 'NE',
+  '→': 'E',
+  '↘': 'SE',
+  '↓': 'S',
+  '↙': 'SW',
+  '←': 'W',
+  '↖': 'NW',
+};
+
+const RELATION_PATTERNS = [
+  { relation: 'approaching', regex: /\b(?:aprchg|approaching|approach|arriving)\b/i },
+  { relation: 'past', regex: /\bpast\b/i },
+  { relation: 'near', regex: /\bnear\b/i },
+  { relation: 'at', regex: /\bat\b/i },
+];
+
+// Words that only show up in TransSee page chrome (header, footer, nav), never in a location line.
+const PAGE_CHROME_PATTERN = /\b(privacy|copyright|transsee by|search|menu|map|home|advert|vehicle locations)\b/i;
+const LOCATION_MARKER_PATTERN = /\b(aprchg|approach|approaching|past|near|at|arriving)\b/i;
+
+// A Map, so names like "constructor" or "__proto__" are not looked up on Object.prototype.
+const NAMED_ENTITIES = new Map([
+  ['nbsp', ' '],
+  ['amp', '&'],
+  ['lt', '<'],
+  ['gt', '>'],
+  ['quot', '"'],
+  ['apos', "'"],
+]);
+
+// One pass, so "&amp;lt;" decodes to the text "&lt;" and not to "<".
+function decodeEntities(s) {
+  return String(s || '').replace(/&(?:#(\d{1,7})|#x([0-9a-f]{1,6})|([a-z]+));/gi, (match, dec, hex, name) => {
+    if (name) {
+      const named = NAMED_ENTITIES.get(name.toLowerCase());
+      return named === undefined ? match : named;
+    }
+    const code = dec ? Number(dec) : parseInt(hex, 16);
+    const valid = code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+    return valid ? String.fromCodePoint(code) : '\ufffd';
+  });
+}
+
+// C0/C1 controls (newlines and tabs excepted), zero-width characters and bidi overrides, which can hide
+// or reorder text on screen.
+const CONTROL_CHARS = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]/g;
+
+function stripControlChars(s) {
+  return String(s || '').replace(CONTROL_CHARS, '');
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeLine(line) {
+  return stripControlChars(line).replace(/\s+/g, ' ').trim();
+}
+
+// Inline tags join their text like the rendered page does ("Vehicle <b>4633</b> 44" stays one line), so
+// the fetched HTML and the browser's innerText give the same lines.
+const INLINE_TAGS = /<\/?(?:a|abbr|b|bdi|bdo|cite|code|em|font|i|mark|q|s|small|span|strong|sub|sup|time|u)\b[^>]*>/gi;
+
+function htmlToLines(html) {
+  const noScript = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|template|noscript)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+  const text = stripControlChars(decodeEntities(noScript.replace(INLINE_TAGS, '').replace(/<[^>]*>/g, '\n')));
+  return text
+    .split('\n')
+    .map(normalizeLine)
+    .filter(Boolean);
+}
+
+// Picks the line that best describes where the bus is, from either the fetched TransSee HTML
+// (direct path) or the rendered page text (browser fallback). The "Last seen ..." suffix is kept
+// so the age can be parsed; use pickBestLocationLine for display text.
+function pickBestLocationRawLine(lines, busNumber) {
+  const bus = String(busNumber);
+  const cleaned = lines
+    .map(normalizeLine)
+    .filter((line) => line.length >= 8 && line.length <= 260)
+    .filter((line) => !/vehicle locations - .* - transsee/i.test(line));
+
+  // Lines with a stop marker win outright; street context ("on"/"at") breaks ties before length.
+  const precise = cleaned
+    .filter((line) => {
+      const lower = line.toLowerCase();
+      if (lower.includes('near stops by gps')) return false;
+      if (PAGE_CHROME_PATTERN.test(lower)) return false;
+      return LOCATION_MARKER_PATTERN.test(lower);
+    })
+    .map((line) => {
+      const lower = line.toLowerCase();
+      return { line, context: lower.includes(' on ') || lower.includes(' at ') ? 1 : 0 };
+    })
+    .sort((a, b) => b.context - a.context || b.line.length - a.line.length);
+
+  if (precise.length > 0) return precise[0].line;
+
+  const scored = cleaned
+    .map((line) => {
+      const lower = line.toLowerCase();
+      let score = 0;
+      if (line.includes(bus)) score += 55;
+      if (lower.includes(' on ')) score += 28;
+      if (lower.includes(' going ')) score += 24;
+      if (lower.startsWith('vehicle ') || lower.includes(`vehicle ${bus}`)) score += 18;
+      if (lower.startsWith('near ') || lower.includes(' near ')) score += 12;
+      if (/[↑↓↗↘↖↙→←]/.test(line)) score += 6;
+      if (lower.includes('near stops by gps')) score -= 100;
+      if (PAGE_CHROME_PATTERN.test(lower)) score -= 20;
+      score += Math.min(line.length, 140) / 14;
+      return { line, score };
+    })
+    .filter((x) => x.score >= 20)
+    .sort((a, b) => b.score - a.score || b.line.length - a.line.length);
+
+  if (scored.length > 0) return scored[0].line;
+
+  // Last resort for pages that put everything on one long line: the text around the bus number.
+  const around = new RegExp(`.{0,150}${escapeRegExp(bus)}.{0,150}`);
+  for (const line of lines.map(normalizeLine)) {
+    const m = line.match(around);
+    if (m) return m[0].trim();
+  }
+  return null;
+}
+
+function pickBestLocationLine(lines, busNumber) {
+  const raw = pickBestLocationRawLine(lines, busNumber);
+  return raw ? stripLocationSuffix(raw) : null;
+}
+
+function stripLocationSuffix(line) {
+  return String(line || '')
+    .replace(/\s+Last seen.*$/i, '')
+    .replace(/\s+Vehicle timed out.*$/i, '')
+    .trim();
+}
+
+// "Last seen 2 min 5 sec ago", "Last seen 45s ago", "Last seen 1 hour ago"
+function parseLastSeenSec(line) {
+  const match = String(line || '').match(/Last seen\s+(.*?)(?:\s+ago\b|$)/i);
+  if (!match) return null;
+
+  let total = 0;
+  let found = false;
+  const unitRegex = /(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)\b/gi;
+  let part;
+  while ((part = unitRegex.exec(match[1])) !== null) {
+    const value = Number(part[1]);
+    const unit = part[2].toLowerCase();
+    if (unit.startsWith('h')) total += value * 3600;
+    else if (unit.startsWith('m')) total += value * 60;
+    else total += value;
+    found = true;
+  }
+  if (/^\s*(just now|now)\b/i.test(match[1])) return 0;
+  return found ? Math.round(total) : null;
+}
+
+function findRelation(text) {
+  let best = null;
+  for (const { relation, regex } of RELATION_PATTERNS) {
+    const m = regex.exec(text);
+    if (m && (!best || m.index < best.index)) {
+      best = { relation, index: m.index, length: m[0].length };
+    }
+  }
+  return best;
+}
+
+function cleanPart(value) {
+  const text = String(value || '')
+    .replace(/[↑↓↗↘↖↙→←]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,.;:-]+|[\s,.;:-]+$/g, '');
+  return text || null;
+}
+
+// Turns one TransSee location line into structured fields. Every field is null when it cannot be read.
+function parseLocationLine(rawLine) {
+  const raw = String(rawLine || '').replace(/\s+/g, ' ').trim();
+  const text = stripLocationSuffix(raw);
+
+  const arrow = text.match(/[↑↓↗↘↖↙→←]/);
+  const heading = arrow ? ARROW_HEADINGS[arrow[0]] : null;
+
+  let route = null;
+  let direction = null;
+  const going = text.match(/\b(\d{1,3}[A-Z]?)\s+going\s+(.+?)(?=\s*[↑↓↗↘↖↙→←]|\s+\b(?:aprchg|approaching|approach|arriving|past|near|at|on)\b|$)/i);
+  if (going) {
+    route = going[1];
+    direction = cleanPart(going[2]);
+  } else {
+    const routeOnly = text.match(/\bRoute\s+(\d{1,3}[A-Z]?)\b/i);
+    if (routeOnly) route = routeOnly[1];
+  }
+
+  let relation = null;
+  let stop = null;
+  let street = null;
+  const afterRoute = going ? text.slice(going.index + going[0].length) : text;
+  const found = findRelation(afterRoute);
+  if (found) {
+    relation = found.relation;
+    const rest = afterRoute.slice(found.index + found.length);
+    const onSplit = rest.split(/\s+\bon\b\s+/i);
+    stop = cleanPart(onSplit[0]);
+    street = onSplit.length > 1 ? cleanPart(onSplit.slice(1).join(' on ')) : null;
+  }
+
+  if (!street) {
+    // "on Bank at Heron" puts the street first and the cross street second.
+    const onAt = text.match(/\bon\s+(.+?)\s+\bat\b\s+(.+)$/i);
+    if (onAt) {
+      street = cleanPart(onAt[1]);
+      if (!relation || relation === 'at') {
+        relation = 'at';
+        stop = cleanPart(onAt[2]);
+      }
+    }
+  }
+
+  const timedOut = /vehicle timed out/i.test(raw);
+  const lastSeenSec = parseLastSeenSec(raw);
+
+  return {
+    relation,
+    stop,
+    street,
+    heading,
+    route,
+    direction,
+    lastSeenSec,
+    timedOut,
+    stale: timedOut || (lastSeenSec !== null && lastSeenSec > STALE_LOCATION_SEC),
+  };
+}
+
+module.exports = {
+  STALE_LOCATION_SEC,
+  decodeEntities,
+  htmlToLines,
+  normalizeLine,
+  parseLastSeenSec,
+  parseLocationLine,
+  pickBestLocationLine,
+  pickBestLocationRawLine,
+  stripControlChars,
+  stripLocationSuffix,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+// Minimal Prometheus text-format registry. Metrics register themselves when created and
+// are rendered in creation order by renderMetrics().
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels || {});
+  if (!keys.length) return '';
+  return `{${keys.map((key) => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) picked[name] = labels && labels[name] !== undefined ? labels[name] : '';
+  return picked;
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+  // An unlabelled counter reports 0 before its first increment, so rate() works from the start.
+  if (!labelNames.length) series.set('{}', { labels: {}, value: 0 });
+
+  function inc(labels = {}, amount = 1) {
+    const picked = pickLabels(labelNames, labels);
+    const key = JSON.stringify(picked);
+    const row = series.get(key) || { labels: picked, value: 0 };
+    row.value += amount;
+    series.set(key, row);
+  }
+
+  function render() {
+    const lines = header(name, help, 'counter');
+    for (const row of series.values()) lines.push(`${name}${formatLabels(row.labels)} ${formatValue(row.value)}`);
+    return lines;
+  }
+
+  registry.push({ render });
+  return { inc };
+}
+
+// `collect()` is called on every scrape and returns a number or [{ labels, value }].
+function createGauge({ name, help, collect }) {
+  function render() {
+    const lines = header(name, help, 'gauge');
+    const value = collect();
+    const rows = Array.isArray(value) ? value : [{ labels: {}, value }];
+    for (const row of rows) lines.push(`${name}${formatLabels(row.labels)} ${formatValue(Number(row.value))}`);
+    return lines;
+  }
+
+  registry.push({ render });
+}
+
+function createHistogram({ name, help, labelNames = [], buckets }) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+
+  function observe(labels, value) {
+    const picked = pickLabels(labelNames, labels);
+    const key = JSON.stringify(picked);
+    let row = series.get(key);
+    if (!row) {
+      row = { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 };
+      series.set(key, row);
+    }
+    bounds.forEach((bound, i) => {
+      if (value <= bound) row.counts[i] += 1;
+    });
+    row.sum += value;
+    row.count += 1;
+  }
+
+  // Resolves the stopwatch with the elapsed seconds; labels can be added when it stops.
+  function startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  function render() {
+    const lines = header(name, help, 'histogram');
+    for (const row of series.values()) {
+      bounds.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels({ ...row.labels, le: formatValue(bound) })} ${row.counts[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...row.labels, le: '+Inf' })} ${row.count}`);
+      lines.push(`${name}_sum${formatLabels(row.labels)} ${formatValue(row.sum)}`);
+      lines.push(`${name}_count${formatLabels(row.labels)} ${row.count}`);
+    }
+    return lines;
+  }
+
+  registry.push({ render });
+  return { observe, startTimer };
+}
+
+function renderMetrics() {
+  return `${registry.flatMap((metric) => metric.render()).join('\n')}\n`;
+}
+
+module.exports = { createCounter, createGauge, createHistogram, renderMetrics };
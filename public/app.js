@@ -0,0 +1,414 @@
+const form = document.getElementById('chatForm');
+const input = document.getElementById('messageInput');
+const chat = document.getElementById('chat');
+const statusEl = document.getElementById('status');
+const sendBtn = document.getElementById('sendBtn');
+const latencyHint = document.getElementById('latencyHint');
+const blockOptions = document.getElementById('blockOptions');
+const quickBlocks = document.getElementById('quickBlocks');
+
+const FAVORITES_KEY = 'octracker:favorites';
+const RECENT_KEY = 'octracker:recent';
+const LAST_RESULTS_KEY = 'octracker:last';
+const MAX_RECENT = 8;
+const MAX_LAST_RESULTS = 30;
+
+function loadJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+function saveJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (_) {
+    // Storage can be full or disabled; remembering blocks is a convenience only.
+  }
+}
+
+// "44-7" and "44-07" are the same block.
+function blockKey(block) {
+  const [route, run] = String(block).split('-');
+  return `${Number(route)}-${Number(run)}`;
+}
+
+let favorites = loadJson(FAVORITES_KEY, []);
+let recent = loadJson(RECENT_KEY, []);
+
+function isFavorite(block) {
+  return favorites.some((b) => blockKey(b) === blockKey(block));
+}
+
+function toggleFavorite(block) {
+  favorites = isFavorite(block) ? favorites.filter((b) => blockKey(b) !== blockKey(block)) : [...favorites, block];
+  saveJson(FAVORITES_KEY, favorites);
+  renderQuickBlocks();
+}
+
+function renderQuickBlocks() {
+  const chip = (block, favorite) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = favorite ? 'follow-btn favorite' : 'follow-btn';
+    btn.textContent = favorite ? `★ ${block}` : block;
+    btn.addEventListener('click', () => sendMessage(block));
+    return btn;
+  };
+  quickBlocks.replaceChildren(
+    ...favorites.map((block) => chip(block, true)),
+    ...recent.filter((block) => !isFavorite(block)).map((block) => chip(block, false))
+  );
+}
+
+// Block results are kept per block so the last one can be shown, with its age, while offline.
+function rememberResult(data) {
+  if (!data || !data.block || !Array.isArray(data.vehicles)) return;
+  recent = [data.block, ...recent.filter((b) => blockKey(b) !== blockKey(data.block))].slice(0, MAX_RECENT);
+  saveJson(RECENT_KEY, recent);
+
+  const last = loadJson(LAST_RESULTS_KEY, {});
+  delete last[blockKey(data.block)];
+  last[blockKey(data.block)] = { data, savedAt: Date.now() };
+  const keys = Object.keys(last);
+  for (const key of keys.slice(0, Math.max(0, keys.length - MAX_LAST_RESULTS))) delete last[key];
+  saveJson(LAST_RESULTS_KEY, last);
+  renderQuickBlocks();
+}
+
+function lastResultFor(block) {
+  return loadJson(LAST_RESULTS_KEY, {})[blockKey(block)] || null;
+}
+
+function addMessage(text, role) {
+  const bubble = document.createElement('div');
+  bubble.className = `message ${role}`;
+  bubble.textContent = text;
+  chat.appendChild(bubble);
+  chat.scrollTop = chat.scrollHeight;
+  return bubble;
+}
+
+function addLoadingMessage() {
+  const bubble = document.createElement('div');
+  bubble.className = 'message bot loading-msg';
+  bubble.innerHTML = `
+    <div class="loading-icon" aria-hidden="true"></div>
+    <div class="loading-text">
+      Tracking live buses
+      <span class="loading-dots" aria-hidden="true"><span></span><span></span><span></span></span>
+    </div>
+  `;
+  chat.appendChild(bubble);
+  chat.scrollTop = chat.scrollHeight;
+  return bubble;
+}
+
+const follows = new Map();
+
+function formatAge(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  return `${Math.round(seconds / 360) / 10} h`;
+}
+
+// Builds an element with text content only. Bus data comes from scraped pages, so it never goes through innerHTML.
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined && text !== null) node.textContent = String(text);
+  return node;
+}
+
+// The server only passes on TransSee links; this also refuses anything that is not a plain web URL.
+function safeHref(url) {
+  try {
+    const parsed = new URL(url, location.href);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function renderCards(wrap, data) {
+  wrap.replaceChildren();
+  // Results shown from storage while offline carry `savedAgeSec` and cannot be followed.
+  const saved = data.savedAgeSec != null;
+  const following = follows.has(data.block);
+  const swaps = Array.isArray(data.swaps) ? data.swaps : [];
+  const adherence = data.adherence && ['late', 'early', 'on-time'].includes(data.adherence.status) ? data.adherence : null;
+
+  for (const bus of data.buses) {
+    const swapIn = swaps.filter((s) => s.toBus === bus.busNumber && !s.pending).pop();
+    const pendingOut = swaps.find((s) => s.fromBus === bus.busNumber && s.pending);
+
+    const details = bus.locationDetails || {};
+    const seen = details.timedOut
+      ? 'vehicle timed out'
+      : details.lastSeenSec != null ? `seen ${formatAge(details.lastSeenSec)} ago` : '';
+    const meta = [details.heading ? `Heading ${details.heading}` : '', seen].filter(Boolean).join(' · ');
+
+    const card = el('article', 'card');
+    const row = el('div', 'row');
+    row.appendChild(el('div', 'bus', `#${bus.busNumber}`));
+    const pills = el('span');
+    if (details.stale) pills.appendChild(el('span', 'pill stale', 'stale'));
+    if (adherence) pills.appendChild(el('span', `pill ${adherence.status}`, adherence.summary));
+    pills.appendChild(
+      saved
+        ? el('span', 'pill stale', `saved ${formatAge(data.savedAgeSec)} ago`)
+        : el('span', following ? 'pill following' : 'pill', following ? 'following' : 'live')
+    );
+    row.appendChild(pills);
+    card.appendChild(row);
+
+    if (swapIn) {
+      card.appendChild(el('div', 'swap', `Swapped in from #${swapIn.fromBus}${swapIn.at ? ` at ${swapIn.at}` : ''}`));
+    }
+    if (pendingOut) {
+      card.appendChild(el('div', 'swap warn', `Change-off to #${pendingOut.toBus}${pendingOut.at ? ` at ${pendingOut.at}` : ''}`));
+    }
+    card.appendChild(el('div', 'loc', bus.locationText));
+    if (meta) card.appendChild(el('div', 'meta', meta));
+
+    const href = safeHref(bus.url);
+    if (href) {
+      const link = el('a', 'url', 'Open in TransSee');
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      card.appendChild(link);
+    }
+    wrap.appendChild(card);
+  }
+
+  // Only block lookups can be followed or saved; bus lookups have no vehicle history.
+  if (data.block && Array.isArray(data.vehicles)) {
+    const favoriteBtn = document.createElement('button');
+    favoriteBtn.type = 'button';
+    favoriteBtn.className = 'follow-btn';
+    favoriteBtn.textContent = isFavorite(data.block) ? `★ Unfavorite ${data.block}` : `☆ Favorite ${data.block}`;
+    favoriteBtn.addEventListener('click', () => {
+      toggleFavorite(data.block);
+      renderCards(wrap, data);
+    });
+    wrap.appendChild(favoriteBtn);
+  }
+
+  if (data.block && Array.isArray(data.vehicles) && !saved) {
+    const followBtn = document.createElement('button');
+    followBtn.type = 'button';
+    followBtn.className = 'follow-btn';
+    followBtn.textContent = following ? `Stop following ${data.block}` : `Follow ${data.block}`;
+    followBtn.addEventListener('click', () => toggleFollow(wrap, data));
+    wrap.appendChild(followBtn);
+  }
+}
+
+function toggleFollow(wrap, data) {
+  const existing = follows.get(data.block);
+  if (existing) {
+    existing.source.close();
+    follows.delete(data.block);
+    renderCards(existing.wrap, existing.data);
+    if (existing.wrap !== wrap) renderCards(wrap, data);
+    return;
+  }
+
+  const source = new EventSource(`/api/track/${encodeURIComponent(data.block)}/stream`);
+  const entry = { source, wrap, data };
+  follows.set(data.block, entry);
+
+  source.addEventListener('update', (event) => {
+    entry.data = JSON.parse(event.data);
+    rememberResult(entry.data);
+    renderCards(entry.wrap, entry.data);
+    statusEl.textContent = `Updated ${entry.data.block}`;
+    statusEl.classList.remove('warn');
+    statusEl.classList.add('ok');
+  });
+
+  source.addEventListener('lookup-error', (event) => {
+    const payload = JSON.parse(event.data);
+    statusEl.textContent = `Follow ${data.block}: ${payload.error || 'lookup failed'}`;
+    statusEl.classList.remove('ok');
+    statusEl.classList.add('warn');
+  });
+
+  renderCards(wrap, data);
+}
+
+function addCards(data) {
+  if (!data || !Array.isArray(data.buses) || !data.buses.length) return;
+
+  const wrap = document.createElement('div');
+  wrap.className = 'cards';
+  renderCards(wrap, data);
+
+  chat.appendChild(wrap);
+  chat.scrollTop = chat.scrollHeight;
+}
+
+// "Did you mean" buttons for a block that was not found.
+function addSuggestions(blocks) {
+  if (!Array.isArray(blocks) || !blocks.length) return;
+  const wrap = document.createElement('div');
+  wrap.className = 'suggestions';
+  for (const block of blocks) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'follow-btn';
+    btn.textContent = block;
+    btn.addEventListener('click', () => sendMessage(block));
+    wrap.appendChild(btn);
+  }
+  chat.appendChild(wrap);
+  chat.scrollTop = chat.scrollHeight;
+}
+
+let typeaheadTimer = null;
+let typeaheadPrefix = '';
+
+function updateTypeahead() {
+  const prefix = input.value.trim();
+  clearTimeout(typeaheadTimer);
+  if (!/^\d{1,3}(-\d{0,3})?$/.test(prefix)) {
+    blockOptions.replaceChildren();
+    typeaheadPrefix = '';
+    return;
+  }
+  if (prefix === typeaheadPrefix) return;
+
+  typeaheadTimer = setTimeout(async () => {
+    typeaheadPrefix = prefix;
+    try {
+      const response = await fetch(`/api/blocks?prefix=${encodeURIComponent(prefix)}&limit=12`);
+      const data = await response.json();
+      if (!data.ok || input.value.trim() !== prefix) return;
+      blockOptions.replaceChildren(
+        ...data.blocks.map((block) => {
+          const option = document.createElement('option');
+          option.value = block;
+          return option;
+        })
+      );
+    } catch (_) {
+      // Typeahead is best effort; the lookup itself still works without it.
+    }
+  }, 200);
+}
+
+function setOfflineStatus() {
+  statusEl.textContent = 'Offline';
+  statusEl.classList.remove('ok');
+  statusEl.classList.add('warn');
+}
+
+// Without a connection, blocks looked up before are answered from their last saved result.
+function answerOffline(message) {
+  const blocks = message.match(/\b\d{1,3}-\d{1,3}\b/g) || [];
+  const saved = blocks.map(lastResultFor).filter(Boolean);
+  addMessage(
+    saved.length
+      ? "You're offline. Showing the last saved result."
+      : "You're offline. Live lookups need a connection; blocks you have looked up before show their last result.",
+    'bot'
+  );
+  for (const { data, savedAt } of saved) {
+    const savedAgeSec = Math.round((Date.now() - savedAt) / 1000) + (data.ageSec || 0);
+    addMessage(`${data.reply}\n(saved ${formatAge(savedAgeSec)} ago)`, 'bot');
+    addCards({ ...data, savedAgeSec });
+  }
+  setOfflineStatus();
+}
+
+async function sendMessage(message) {
+  if (!navigator.onLine) {
+    addMessage(message, 'user');
+    answerOffline(message);
+    return;
+  }
+
+  const started = performance.now();
+  statusEl.textContent = 'Fetching live data...';
+  statusEl.classList.remove('ok', 'warn');
+  sendBtn.disabled = true;
+
+  addMessage(message, 'user');
+  const loadingBubble = addLoadingMessage();
+
+  try {
+    let response;
+    try {
+      response = await fetch('/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message }),
+      });
+    } catch (_) {
+      // fetch only rejects when the server could not be reached at all.
+      loadingBubble.remove();
+      answerOffline(message);
+      return;
+    }
+
+    let data = await response.json();
+    if (!response.ok || !data.ok) {
+      throw Object.assign(new Error(data.error || 'Lookup failed'), { suggestions: data.suggestions });
+    }
+
+    loadingBubble.remove();
+    addMessage(data.reply, 'bot');
+    if (Array.isArray(data.results)) {
+      data.results.filter((result) => result.ok).forEach(rememberResult);
+      data.results.filter((result) => result.ok).forEach(addCards);
+      data.results.forEach((result) => addSuggestions(result.suggestions));
+    } else {
+      rememberResult(data);
+      addCards(data);
+    }
+
+    const elapsedMs = Math.round(performance.now() - started);
+    const freshness = data.cached ? `cached, ${data.ageSec || 0}s old` : 'live';
+    statusEl.textContent = data.cached ? 'Cached result' : 'Live result';
+    statusEl.classList.add('ok');
+    latencyHint.textContent = `Response time: ${elapsedMs}ms (${freshness})`;
+  } catch (err) {
+    loadingBubble.remove();
+    addMessage(err.message || 'Unexpected error.', 'bot');
+    addSuggestions(err.suggestions);
+    statusEl.textContent = 'Error';
+    statusEl.classList.add('warn');
+  } finally {
+    sendBtn.disabled = false;
+  }
+}
+
+input.addEventListener('input', updateTypeahead);
+window.addEventListener('offline', setOfflineStatus);
+window.addEventListener('online', () => {
+  statusEl.textContent = 'Back online';
+  statusEl.classList.remove('warn');
+  statusEl.classList.add('ok');
+});
+
+renderQuickBlocks();
+if (!navigator.onLine) setOfflineStatus();
+
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {
+      // Without a service worker the app still works online.
+    });
+  });
+}
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const message = input.value.trim();
+  if (!message) return;
+  input.value = '';
+  sendMessage(message);
+});
@@ -0,0 +1,215 @@
+const STORAGE_KEY = 'octracker:board';
+const MAX_BLOCKS_PER_REQUEST = 20;
+const BLOCK_PATTERN = /^\d{1,3}-\d{1,3}$/;
+
+const params = new URLSearchParams(location.search);
+const refreshSec = Math.max(10, Number(params.get('refresh')) || 30);
+const grid = document.getElementById('grid');
+const statusEl = document.getElementById('status');
+const form = document.getElementById('addForm');
+const input = document.getElementById('blockInput');
+
+// block -> { data, error, fetchedAt }; `data` is the last good result and survives later errors.
+const tiles = new Map();
+let pinned = loadPinned();
+let refreshTimer = null;
+
+// "44-7" and "44-07" are the same block.
+function blockKey(block) {
+  const [route, run] = block.split('-');
+  return `${Number(route)}-${Number(run)}`;
+}
+
+function parseBlocks(text) {
+  const seen = new Set();
+  return String(text || '')
+    .split(/[\s,]+/)
+    .map((block) => block.trim().toUpperCase())
+    .filter((block) => {
+      if (!BLOCK_PATTERN.test(block) || seen.has(blockKey(block))) return false;
+      seen.add(blockKey(block));
+      return true;
+    });
+}
+
+// The URL wins, so a shared or bookmarked board opens as it was saved.
+function loadPinned() {
+  if (params.has('blocks')) return parseBlocks(params.get('blocks'));
+  try {
+    return parseBlocks(localStorage.getItem(STORAGE_KEY));
+  } catch (_) {
+    return [];
+  }
+}
+
+function savePinned() {
+  const text = pinned.join(',');
+  try {
+    localStorage.setItem(STORAGE_KEY, text);
+  } catch (_) {
+    // Private windows may refuse storage; the URL still holds the board.
+  }
+  params.set('blocks', text);
+  if (!text) params.delete('blocks');
+  const query = params.toString().replace(/%2C/gi, ',');
+  history.replaceState(null, '', query ? `${location.pathname}?${query}` : location.pathname);
+}
+
+function formatAge(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  return `${Math.round(seconds / 360) / 10} h`;
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function renderTile(block) {
+  const state = tiles.get(block) || {};
+  const tile = el('article', 'tile');
+  if (state.error) tile.classList.add('error');
+
+  const head = el('div', 'row');
+  head.appendChild(el('div', 'block', block));
+  const remove = el('button', 'remove', '×');
+  remove.type = 'button';
+  remove.title = `Unpin ${block}`;
+  remove.addEventListener('click', () => unpin(block));
+  head.appendChild(remove);
+  tile.appendChild(head);
+
+  const data = state.data;
+  if (data) {
+    for (const bus of data.buses) {
+      tile.appendChild(el('div', 'bus', `#${bus.busNumber}`));
+      tile.appendChild(el('div', 'loc', bus.locationText || 'No location'));
+      const details = bus.locationDetails || {};
+      const meta = [
+        details.heading ? `Heading ${details.heading}` : '',
+        details.timedOut ? 'vehicle timed out' : details.lastSeenSec != null ? `seen ${formatAge(details.lastSeenSec)} ago` : '',
+      ].filter(Boolean);
+      if (meta.length) tile.appendChild(el('div', 'meta', meta.join(' · ')));
+    }
+    if (data.adherence && ['late', 'early', 'on-time'].includes(data.adherence.status)) {
+      tile.appendChild(el('div', 'meta', `Schedule: ${data.adherence.summary}`));
+    }
+
+    // Data age is the server's cache age plus the time since this board fetched it.
+    const ageSec = (data.ageSec || 0) + Math.round((Date.now() - state.fetchedAt) / 1000);
+    tile.appendChild(el('div', 'fresh', `Updated ${formatAge(ageSec)} ago${data.source === 'playwright' ? ' (browser)' : ''}`));
+    if (state.error) tile.classList.add('stale');
+  } else if (!state.error) {
+    tile.appendChild(el('div', 'meta', 'Loading...'));
+  }
+
+  if (state.error) tile.appendChild(el('div', 'err', state.error));
+  return tile;
+}
+
+function render() {
+  if (!pinned.length) {
+    grid.replaceChildren(el('p', 'empty', 'No blocks pinned yet. Add one above, or open /board?blocks=44-07,95-03.'));
+    return;
+  }
+  grid.replaceChildren(...pinned.map(renderTile));
+}
+
+async function fetchChunk(blocks) {
+  // Background priority: the board polls, so it waits behind interactive lookups and skips the browser fallback.
+  const response = await fetch(`/api/track?blocks=${encodeURIComponent(blocks.join(','))}&priority=background`);
+  const data = await response.json();
+  // One block gets a plain result; several get `results` in the order they were asked for.
+  return Array.isArray(data.results) ? data.results : [data];
+}
+
+async function refresh() {
+  clearTimeout(refreshTimer);
+  const blocks = [...pinned];
+  const chunks = [];
+  for (let i = 0; i < blocks.length; i += MAX_BLOCKS_PER_REQUEST) {
+    chunks.push(blocks.slice(i, i + MAX_BLOCKS_PER_REQUEST));
+  }
+
+  let failed = 0;
+  let renamed = false;
+  await Promise.all(
+    chunks.map(async (chunk) => {
+      let results;
+      try {
+        results = await fetchChunk(chunk);
+      } catch (err) {
+        results = chunk.map(() => ({ ok: false, error: navigator.onLine ? 'Server unreachable' : 'Offline' }));
+      }
+      chunk.forEach((block, i) => {
+        if (!pinned.includes(block)) return;
+        const result = results[i] || { ok: false, error: 'No result' };
+        const state = tiles.get(block) || {};
+        if (result.ok) {
+          // Pinned as typed ("44-7"); the tile takes the block's real name once it is known.
+          const name = result.block || block;
+          if (name !== block) {
+            pinned = pinned.map((b) => (b === block ? name : b));
+            tiles.delete(block);
+            renamed = true;
+          }
+          tiles.set(name, { data: result, error: null, fetchedAt: Date.now() });
+        } else {
+          failed += 1;
+          tiles.set(block, { ...state, error: result.error || 'Lookup failed' });
+        }
+      });
+    })
+  );
+
+  if (renamed) savePinned();
+  statusEl.textContent = pinned.length
+    ? `${pinned.length} blocks · ${failed ? `${failed} failing · ` : ''}refreshed ${new Date().toLocaleTimeString()} · every ${refreshSec}s`
+    : 'No blocks pinned';
+  render();
+  // Pinning starts an extra refresh; whichever finishes last schedules the next one.
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refresh, refreshSec * 1000);
+}
+
+function pin(block) {
+  if (pinned.some((b) => blockKey(b) === blockKey(block))) return;
+  pinned.push(block);
+  savePinned();
+  render();
+  refresh();
+}
+
+function unpin(block) {
+  pinned = pinned.filter((b) => b !== block);
+  tiles.delete(block);
+  savePinned();
+  render();
+}
+
+form.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const [block] = parseBlocks(input.value);
+  if (!block) {
+    input.setCustomValidity('Use route-block, e.g. 44-07');
+    input.reportValidity();
+    return;
+  }
+  input.value = '';
+  pin(block);
+});
+input.addEventListener('input', () => input.setCustomValidity(''));
+
+// Keep the age labels moving between refreshes.
+setInterval(render, 15000);
+
+savePinned();
+render();
+refresh();
+
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('/sw.js').catch(() => {});
+}
@@ -0,0 +1,51 @@
+'use strict';
+
+// Caches the app shell so the chat and the board open without a connection. API calls always go to the
+// network; the pages keep their own last results for offline use.
+const CACHE = 'octracker-shell-v2';
+const SHELL = ['/', '/app.js', '/board', '/board.js', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Every page except the board is the chat, since the server answers unknown paths with it.
+function shellKey(url) {
+  return url.pathname === '/board' || url.pathname === '/board.html' ? '/board' : '/';
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/') || url.pathname === '/healthz' || url.pathname === '/metrics') return;
+
+  // Network first, so a deploy shows up at once and pages never pair with old scripts; the cached copy is
+  // only for offline.
+  const key = request.mode === 'navigate' ? shellKey(url) : request;
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE).then((cache) => cache.put(key, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(key))
+  );
+});
@@ -1,325 +1,510 @@
 'use strict';
 
+const crypto = require('crypto');
 const express = require('express');
 const path = require('path');
-const https = require('https');
-const { trackBlock } = require('./track_block');
+const { ExpectedFailure, trackBlock } = require('./track_block');
+const { createBrowserPool } = require('./browser_pool');
+const { createSharedTask, raceSignal } = require('./cancellation');
+const { circuitSnapshot, circuits } = require('./circuit_breaker');
+const { createCounter, createGauge, createHistogram, renderMetrics } = require('./metrics');
+const {
+  buildItinerary,
+  describeTrip,
+  lastActivitySeconds,
+  pickMostRecentBusId,
+  tripBusId,
+} = require('./block_trips');
+const { parseChatIntent } = require('./chat_intents');
+const { createWatcher, redactWatch } = require('./watches');
+const { createDiagnostics, createDiagnosticsStore } = require('./diagnostics');
+const { createHistoryStore, parseRangeBound } = require('./history_store');
+const {
+  blockAdherence,
+  blockDetailsUrl,
+  blockNotFoundError,
+  blockNumericKey,
+  caches,
+  fetchAvailableBlocks,
+  fetchBlockTrips,
+  fetchBusesForBlock,
+  fetchDirectResult,
+  fetchLocationForBus,
+  filterBlocksByPrefix,
+  isBlockPrefix,
+  isLikelyBlock,
+  normalizeBlock,
+  resolveCanonicalBlock,
+} = require('./direct_lookup');
+const { parseLocationLine } = require('./location_parser');
+const { currentServiceDate, parseServiceDate } = require('./service_day');
+const { createFreshness, noteFreshness } = require('./ttl_cache');
+const { UPSTREAM_MODE, isReplayMode, isTransSeeUrl } = require('./upstream_http');
 
 const PORT = Number(process.env.PORT || 7860);
 const RUN_TIMEOUT_MS = Number(process.env.RUN_TIMEOUT_MS || 25000);
 const FALLBACK_TIMEOUT_MS = Number(process.env.FALLBACK_TIMEOUT_MS || 90000);
 const TRACK_CONCURRENCY = Math.max(1, Number(process.env.TRACK_CONCURRENCY || 6));
+const MAX_QUEUE_LENGTH = Math.max(1, Number(process.env.MAX_QUEUE_LENGTH || 500));
+const QUEUE_RETRY_AFTER_SEC = Math.max(1, Number(process.env.QUEUE_RETRY_AFTER_SEC || 5));
+const SCAN_BATCH_SIZE = Math.max(1, Number(process.env.SCAN_BATCH_SIZE || 20));
+const BROWSER_POOL_SIZE = Math.max(1, Number(process.env.BROWSER_POOL_SIZE || 2));
+const BROWSER_CONTEXT_MAX_USES = Math.max(1, Number(process.env.BROWSER_CONTEXT_MAX_USES || 20));
+const BROWSER_POOL_WARM = Math.max(0, Number(process.env.BROWSER_POOL_WARM ?? 1));
+const BUS_SCAN_TIMEOUT_MS = Number(process.env.BUS_SCAN_TIMEOUT_MS || 60000);
+const LATE_THRESHOLD_MIN = Math.max(0, Number(process.env.LATE_THRESHOLD_MIN ?? 5));
+const MAX_BLOCKS_PER_REQUEST = Math.max(1, Number(process.env.MAX_BLOCKS_PER_REQUEST || 20));
+const WATCH_POLL_MS = Math.max(10000, Number(process.env.WATCH_POLL_MS || 60000));
+const WATCH_STORE_PATH = path.resolve(process.env.WATCH_STORE_PATH || path.join(__dirname, 'data', 'watches.json'));
+const WATCH_TOKEN = String(process.env.WATCH_TOKEN || '');
+const WEBHOOK_ALLOWED_HOSTS = String(process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',');
+const HISTORY_PATH = path.resolve(process.env.HISTORY_PATH || path.join(__dirname, 'data', 'history.jsonl'));
+const HISTORY_RETENTION_DAYS = Math.max(1, Number(process.env.HISTORY_RETENTION_DAYS || 30));
+const DEBUG_DIR = path.resolve(process.env.DEBUG_DIR || path.join(__dirname, 'data', 'debug'));
+const DEBUG_BUNDLE_TTL_MS = Math.max(60000, Number(process.env.DEBUG_BUNDLE_TTL_HOURS || 24) * 60 * 60 * 1000);
+const DEBUG_TOKEN = String(process.env.DEBUG_TOKEN || '');
+const STREAM_POLL_MS = Math.max(5000, Number(process.env.STREAM_POLL_MS || 20000));
+// The Hugging Face Space shows the app in an iframe, so that one site may frame it.
+const FRAME_ANCESTORS = String(process.env.FRAME_ANCESTORS || "'self' https://huggingface.co").trim();
+
+// Scripts only from our own files. Inline styles stay allowed for the pages' <style> blocks and Google Fonts.
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+  'font-src https://fonts.gstatic.com',
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "manifest-src 'self'",
+  "worker-src 'self'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'self'",
+  `frame-ancestors ${FRAME_ANCESTORS}`,
+].join('; ');
 
 const pendingByBlock = new Map();
-const queue = [];
+const pendingFallbacks = new Map();
+const pendingByBus = new Map();
+let pendingLateScan = null;
+const streamsByBlock = new Map();
+const lastHistoryByBlock = new Map();
+// Drained in this order: people waiting on an answer, then scans over many blocks, then polling nobody is waiting on.
+const QUEUE_PRIORITIES = ['interactive', 'bulk', 'background'];
+const queues = Object.fromEntries(QUEUE_PRIORITIES.map((priority) => [priority, []]));
 let activeWorkers = 0;
 
+const browserPool = createBrowserPool({ size: BROWSER_POOL_SIZE, maxUses: BROWSER_CONTEXT_MAX_USES });
+const diagnosticsStore = createDiagnosticsStore({ dir: DEBUG_DIR, ttlMs: DEBUG_BUNDLE_TTL_MS });
+const history = createHistoryStore({ filePath: HISTORY_PATH, retentionDays: HISTORY_RETENTION_DAYS });
+
+const httpRequests = createCounter({
+  name: 'octracker_http_requests_total',
+  help: 'HTTP requests by method, route and status.',
+  labelNames: ['method', 'route', 'status'],
+});
+const lookupDuration = createHistogram({
+  name: 'octracker_lookup_duration_seconds',
+  help: 'Block lookup latency by source (direct HTTP or Playwright fallback) and outcome.',
+  labelNames: ['source', 'outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 90],
+});
+const fallbacks = createCounter({
+  name: 'octracker_fallbacks_total',
+  help: 'Block lookups that fell back to the Playwright tracker.',
+});
+createGauge({
+  name: 'octracker_queue_depth',
+  help: 'Lookups waiting for a worker, by priority.',
+  collect: () => QUEUE_PRIORITIES.map((priority) => ({ labels: { priority }, value: queues[priority].length })),
+});
+createGauge({ name: 'octracker_active_workers', help: 'Lookups currently running.', collect: () => activeWorkers });
+createGauge({
+  name: 'octracker_pending_lookups',
+  help: 'Distinct in-flight lookups by kind.',
+  collect: () => [
+    { labels: { kind: 'block' }, value: pendingByBlock.size },
+    { labels: { kind: 'fallback' }, value: pendingFallbacks.size },
+    { labels: { kind: 'bus' }, value: pendingByBus.size },
+  ],
+});
+
 const app = express();
+app.disable('x-powered-by');
+app.use((req, res, next) => {
+  res.set({
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Cross-Origin-Resource-Policy': 'same-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()',
+  });
+  // Behind the hosting proxy the app itself only sees plain HTTP.
+  if (req.secure || req.get('x-forwarded-proto') === 'https') {
+    res.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  }
+  next();
+});
+app.use((req, res, next) => {
+  res.on('close', () => {
+    // Route patterns keep the label set small; anything unrouted is a static file or the SPA page.
+    const route = req.route ? req.route.path : 'static';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
 app.use(express.json({ limit: '100kb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-function normalizeBlock(input) {
-  return String(input || '').trim().toUpperCase();
+// Runs `fn(signal)` and aborts the signal after `ms`, which also stops the queued jobs, sockets and pages it started.
+function withTimeout(fn, ms) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(Object.assign(new Error(`Live lookup timed out after ${ms}ms`), { code: 504 }));
+  }, ms);
+  return raceSignal(
+    Promise.resolve().then(() => fn(controller.signal)),
+    controller.signal
+  ).finally(() => clearTimeout(timer));
 }
 
-function isLikelyBlock(block) {
-  return /^[0-9]{1,3}-[0-9]{1,3}$/.test(block);
-}
+async function findBlocksForBus(busNumber, freshness, signal) {
+  assertQueueRoom('bulk');
+  const available = await fetchAvailableBlocks(null, freshness, signal);
+  const matches = [];
 
-function withTimeout(promise, ms) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => {
-      const err = new Error(`Live lookup timed out after ${ms}ms`);
-      err.code = 504;
-      setTimeout(() => reject(err), ms);
-    }),
-  ]);
-}
-
-function httpGetText(url, timeoutMs = RUN_TIMEOUT_MS) {
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, (res) => {
-      let data = '';
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      res.on('end', () => {
-        if (res.statusCode >= 400) {
-          const err = new Error(`HTTP ${res.statusCode} for ${url}`);
-          err.code = res.statusCode;
-          reject(err);
-          return;
-        }
-        resolve(data);
+  await enqueueScan(
+    available,
+    async (block, jobSignal) => {
+      let trips;
+      try {
+        trips = await fetchBlockTrips(block, null, freshness, jobSignal);
+      } catch (_) {
+        // A block that fails to load cannot be checked; the rest of the scan still counts.
+        return;
+      }
+      const busTrips = trips.filter((trip) => tripBusId(trip) === busNumber);
+      if (!busTrips.length) return;
+      matches.push({
+        block,
+        busTrips,
+        lastActivity: lastActivitySeconds(busTrips),
+        isBlockCurrentBus: pickMostRecentBusId(trips) === busNumber,
       });
-    });
+    },
+    signal
+  );
 
-    req.setTimeout(timeoutMs, () => {
-      req.destroy(new Error(`Request timeout for ${url}`));
-    });
+  matches.sort((a, b) => b.lastActivity - a.lastActivity || a.block.localeCompare(b.block, undefined, { numeric: true }));
 
-    req.on('error', reject);
+  // A bus can only be on one block at a time: the latest block still listing it as its bus wins.
+  const current = matches.find((m) => m.isBlockCurrentBus) || null;
+  return matches.map((m) => {
+    const inProgress = m.busTrips.find((trip) => trip.actualStartTime && !trip.actualEndTime);
+    return {
+      block: m.block,
+      status: m === current ? 'current' : 'earlier',
+      tripCount: m.busTrips.length,
+      currentTrip: m === current && inProgress ? describeTrip(inProgress) : null,
+    };
   });
 }
 
-function getOttawaServiceDateIso() {
-  const parts = new Intl.DateTimeFormat('en-CA', {
-    timeZone: 'America/Toronto',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-  }).formatToParts(new Date());
-
-  const map = {};
-  for (const p of parts) map[p.type] = p.value;
-  return `${map.year}-${map.month}-${map.day}T10:00:00.000Z`;
-}
-
-function timeToSeconds(value) {
-  const t = String(value || '').trim();
-  const m = t.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
-  if (!m) return null;
-  const hh = Number(m[1]);
-  const mm = Number(m[2]);
-  const ss = Number(m[3] || 0);
-  return hh * 3600 + mm * 60 + ss;
-}
-
-function pickMostRecentBusId(trips) {
-  const candidates = [];
-  for (const trip of trips || []) {
-    const busId = String(trip && trip.busId ? trip.busId : '').trim();
-    if (!/^\d{3,5}$/.test(busId)) continue;
-
-    const actualEnd = timeToSeconds(trip.actualEndTime);
-    const actualStart = timeToSeconds(trip.actualStartTime);
-    const scheduledStart = timeToSeconds(trip.scheduledStartTime);
-
-    // Prefer trips with real actual telemetry. Fall back to schedule only when needed.
-    const hasActual = actualEnd !== null || actualStart !== null;
-    const rank = hasActual ? (actualEnd ?? actualStart) : (scheduledStart ?? -1);
-
-    candidates.push({
-      busId,
-      hasActual: hasActual ? 1 : 0,
-      rank,
-      tie: actualStart ?? actualEnd ?? scheduledStart ?? -1,
-    });
+async function fetchBusResult(busNumber) {
+  if (pendingByBus.has(busNumber)) {
+    return pendingByBus.get(busNumber);
   }
 
-  candidates.sort((a, b) =>
-    b.hasActual - a.hasActual ||
-    b.rank - a.rank ||
-    b.tie - a.tie ||
-    b.busId.localeCompare(a.busId, undefined, { numeric: true })
-  );
+  const job = withTimeout(
+    async (signal) => {
+      const freshness = createFreshness();
+      const blocks = await findBlocksForBus(busNumber, freshness, signal);
+      if (!blocks.length) {
+        throw Object.assign(new Error(`Bus ${busNumber} is not on any block today.`), { code: 404 });
+      }
 
-  return candidates.length ? candidates[0].busId : null;
-}
-
-function decodeEntities(s) {
-  return s
-    .replace(/&nbsp;/gi, ' ')
-    .replace(/&amp;/gi, '&')
-    .replace(/&lt;/gi, '<')
-    .replace(/&gt;/gi, '>')
-    .replace(/&#39;/g, "'")
-    .replace(/&quot;/gi, '"');
-}
-
-function htmlToLines(html) {
-  const noScript = html
-    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
-    .replace(/<style[\s\S]*?<\/style>/gi, ' ');
-  const text = decodeEntities(noScript.replace(/<[^>]+>/g, '\n'));
-  return text
-    .split('\n')
-    .map((line) => line.replace(/\s+/g, ' ').trim())
-    .filter(Boolean);
-}
-
-function pickBestLocationLine(lines, busNumber) {
-  const cleaned = lines
-    .filter((line) => line.length >= 8 && line.length <= 260)
-    .filter((line) => !/vehicle locations - .* - transsee/i.test(line));
-
-  const precise = cleaned
-    .filter((line) => {
-      const lower = line.toLowerCase();
-      if (lower.includes('near stops by gps')) return false;
-      if (/(privacy|copyright|transsee by|search|menu|map|vehicle locations)/i.test(lower)) return false;
-      const hasMarker = /\b(aprchg|approach|approaching|past|near|at|arriving)\b/i.test(lower);
-      if (!hasMarker) return false;
-      return true;
-    })
-    .sort((a, b) => b.length - a.length);
-
-  if (precise.length > 0) {
-    return precise[0].replace(/\s+Last seen.*$/i, '').trim();
-  }
-
-  const scored = cleaned
-    .map((line) => {
-      const lower = line.toLowerCase();
-      let score = 0;
-      if (line.includes(busNumber)) score += 55;
-      if (lower.includes(' on ')) score += 28;
-      if (lower.includes(' going ')) score += 24;
-      if (lower.startsWith('vehicle ') || lower.includes(`vehicle ${busNumber}`)) score += 18;
-      if (/[↑↓↗↘↖↙]/.test(line)) score += 5;
-      if (lower.includes('near stops by gps')) score -= 100;
-      if (/(privacy|copyright|transsee by|search|menu|map|vehicle locations)/i.test(lower)) score -= 20;
-      score += Math.min(line.length, 140) / 14;
-      return { line, score };
-    })
-    .filter((x) => x.score >= 20)
-    .sort((a, b) => b.score - a.score || b.line.length - a.line.length);
+      let location = null;
+      let locationError = null;
+      try {
+        location = await fetchLocationForBus(busNumber, freshness, signal);
+      } catch (err) {
+        if (signal.aborted) throw err;
+        locationError = String(err.message || 'Location lookup failed');
+      }
 
-  if (scored.length > 0) {
-    return scored[0].line.replace(/\s+Last seen.*$/i, '').trim();
-  }
+      const current = blocks.find((b) => b.status === 'current') || null;
+      return {
+        busNumber,
+        block: current ? current.block : null,
+        currentTrip: current ? current.currentTrip : null,
+        blocks,
+        locationText: location ? location.locationText : null,
+        url: location ? location.url : null,
+        locationError,
+        buses: location ? [location] : [],
+        freshness,
+      };
+    },
+    BUS_SCAN_TIMEOUT_MS
+  ).finally(() => {
+    pendingByBus.delete(busNumber);
+  });
 
-  return null;
+  pendingByBus.set(busNumber, job);
+  return job;
 }
 
-async function fetchBusesForBlock(block) {
-  const dateIso = getOttawaServiceDateIso();
-  const detailsUrl = `https://bus.ajay.app/api/blockDetails?blockId=${encodeURIComponent(block)}&date=${encodeURIComponent(dateIso)}`;
+function blockRoute(block) {
+  const route = String(block || '').split('-')[0];
+  return /^\d+$/.test(route) ? String(Number(route)) : null;
+}
 
-  let payload;
+async function lookupRouteBlock(block, freshness, signal) {
+  let history;
   try {
-    payload = JSON.parse(await httpGetText(detailsUrl));
+    history = await fetchBusesForBlock(block, null, freshness, signal);
   } catch (err) {
-    throw new Error(`Failed to read BetterTransit data: ${err.message}`);
+    if (Number(err.code) === 404) return { block, busNumber: null, status: 'no-bus' };
+    return { block, busNumber: null, status: 'error', error: String(err.message || 'Lookup failed') };
   }
 
-  const trips = payload && payload[block] ? payload[block] : null;
-  if (!Array.isArray(trips)) {
-    throw Object.assign(new Error(`Block not found: ${block}`), { code: 404 });
-  }
-
-  const mostRecentBus = pickMostRecentBusId(trips);
-  if (!mostRecentBus) {
-    throw Object.assign(new Error(`No bus numbers found for block: ${block}`), { code: 404 });
-  }
-
-  return [mostRecentBus];
-}
-
-async function fetchAvailableBlocks() {
-  const dateIso = getOttawaServiceDateIso();
-  const blocksUrl = `https://bus.ajay.app/api/blocks?date=${encodeURIComponent(dateIso)}`;
-  let payload;
   try {
-    payload = JSON.parse(await httpGetText(blocksUrl));
+    const location = await fetchLocationForBus(history.currentBus, freshness, signal);
+    return { block, status: 'active', ...location };
   } catch (err) {
-    throw new Error(`Failed to read block list: ${err.message}`);
-  }
-  if (!Array.isArray(payload)) {
-    throw new Error('Invalid block list payload');
+    return {
+      block,
+      busNumber: history.currentBus,
+      status: 'active',
+      locationText: null,
+      locationError: String(err.message || 'Location lookup failed'),
+    };
   }
-  return payload
-    .map((row) => String(row && row.blockId ? row.blockId : '').trim().toUpperCase())
-    .filter(Boolean);
 }
 
-function blockNumericKey(block) {
-  const [a, b] = String(block || '').split('-');
-  if (!/^\d+$/.test(a || '') || !/^\d+$/.test(b || '')) return null;
-  return `${Number(a)}-${Number(b)}`;
-}
-
-async function resolveCanonicalBlock(inputBlock) {
-  const available = await fetchAvailableBlocks();
-  const exact = available.find((b) => b === inputBlock);
-  if (exact) return exact;
-
-  const inputKey = blockNumericKey(inputBlock);
-  if (!inputKey) return null;
+// Block IDs start with the route number, so the day's block list is enough to find a route's blocks.
+async function fetchRouteResult(route, freshness) {
+  const available = await fetchAvailableBlocks(null, freshness);
+  const blocks = available
+    .filter((block) => blockRoute(block) === route)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
 
-  const keyToCanonical = new Map();
-  for (const b of available) {
-    const key = blockNumericKey(b);
-    if (key && !keyToCanonical.has(key)) keyToCanonical.set(key, b);
+  if (!blocks.length) {
+    throw Object.assign(new Error(`No blocks found for route ${route} today.`), { code: 404 });
   }
-  return keyToCanonical.get(inputKey) || null;
-}
-
-async function fetchLocationForBus(busNumber) {
-  const url = `https://transsee.ca/fleetfind?a=octranspo&q=${encodeURIComponent(busNumber)}&Go=Go`;
-  const html = await httpGetText(url);
-  const lines = htmlToLines(html);
-  const locationText = pickBestLocationLine(lines, busNumber);
 
-  if (!locationText) {
-    throw Object.assign(new Error(`No location found for bus ${busNumber}`), { code: 404 });
-  }
+  assertQueueRoom('bulk');
+  const rows = await withTimeout(
+    (signal) => enqueueScan(blocks, (block, jobSignal) => lookupRouteBlock(block, freshness, jobSignal), signal),
+    BUS_SCAN_TIMEOUT_MS
+  );
 
   return {
-    busNumber: String(busNumber),
-    locationText,
-    url,
+    route,
+    blocks: rows,
+    summary: {
+      total: rows.length,
+      withBus: rows.filter((r) => r.status === 'active').length,
+      withoutBus: rows.filter((r) => r.status === 'no-bus').length,
+      errors: rows.filter((r) => r.status === 'error').length,
+    },
   };
 }
 
-async function fetchLiveResult(block) {
-  if (pendingByBlock.has(block)) {
-    return pendingByBlock.get(block);
+// Callers asking for the same block at the same priority share one queued job. It is aborted once all of them have.
+function fetchLiveResult(block, serviceDate = currentServiceDate(), { priority = 'interactive', signal = null } = {}) {
+  const key = `${priority}|${serviceDate}|${block}`;
+  let task = pendingByBlock.get(key);
+  if (!task) {
+    task = createSharedTask((taskSignal) =>
+      enqueue((jobSignal) => fetchDirectResult(block, serviceDate, createFreshness(), jobSignal), {
+        priority,
+        signal: taskSignal,
+      })
+    );
+    const done = () => pendingByBlock.delete(key);
+    task.promise.then(done, done);
+    pendingByBlock.set(key, task);
   }
+  return task.join(signal);
+}
 
-  const job = enqueue(async () => {
-    const buses = await fetchBusesForBlock(block);
-    const locations = await Promise.all(buses.map((bus) => fetchLocationForBus(bus)));
-    return { block, buses: locations };
-  }).finally(() => {
-    pendingByBlock.delete(block);
-  });
-
-  pendingByBlock.set(block, job);
-  return job;
+// One browser run per block at a time. Only the request that started it gets the navigation diagnostics.
+function fetchFallbackResult(block, diagnostics, signal) {
+  let task = pendingFallbacks.get(block);
+  if (!task) {
+    task = createSharedTask((taskSignal) => trackWithPooledBrowser(block, diagnostics, taskSignal));
+    const done = () => pendingFallbacks.delete(block);
+    task.promise.then(done, done);
+    pendingFallbacks.set(block, task);
+  }
+  return task.join(signal);
 }
 
-async function fetchLiveResultWithFallback(block) {
+async function fetchLiveResultWithFallback(block, diagnostics, serviceDate, priority = 'interactive') {
+  const stopDirect = lookupDuration.startTimer({ source: 'direct' });
   try {
-    return await withTimeout(fetchLiveResult(block), RUN_TIMEOUT_MS);
+    diagnostics.noteUrl(blockDetailsUrl(block, serviceDate));
+    const result = await diagnostics.time('direct', () =>
+      withTimeout((signal) => fetchLiveResult(block, serviceDate, { priority, signal }), RUN_TIMEOUT_MS)
+    );
+    stopDirect({ outcome: 'success' });
+    return result;
   } catch (directErr) {
+    stopDirect({ outcome: 'error' });
+    diagnostics.noteAttempt('direct', directErr);
     if (Number(directErr.code) === 400) throw directErr;
-    const fallback = await withTimeout(trackBlock(block, { headless: true }), FALLBACK_TIMEOUT_MS);
-    return fallback;
+    // A full queue means the server is overloaded; a browser run would only make that worse.
+    if (directErr.queueFull) throw directErr;
+    // Polling (the board) retries on its own schedule; a browser run per failing tile would swamp the pool.
+    if (priority === 'background') throw directErr;
+    // Replay must never reach the live sites, so the browser fallback is skipped.
+    if (isReplayMode()) throw directErr;
+    // The tracker page only shows the current service day.
+    if (serviceDate !== currentServiceDate()) throw directErr;
+    // The browser reads locations from the same transsee.ca host, so a dead TransSee is not retried there.
+    if (directErr.circuitOpen && directErr.source === 'transsee') throw directErr;
+    // Both browser steps must be reachable; an open circuit fails here without leasing a context.
+    const blocked = [circuits['playwright:bettertransit'], circuits['playwright:transsee']].find((c) => c.isOpen());
+    if (blocked) {
+      const err = blocked.openError();
+      diagnostics.noteAttempt('playwright', err);
+      throw err;
+    }
+    fallbacks.inc();
+    const stopFallback = lookupDuration.startTimer({ source: 'playwright' });
+    try {
+      const fallback = await diagnostics.time('playwright', () =>
+        withTimeout((signal) => fetchFallbackResult(block, diagnostics, signal), FALLBACK_TIMEOUT_MS)
+      );
+      stopFallback({ outcome: 'success' });
+      return { ...fallback, source: 'playwright' };
+    } catch (err) {
+      stopFallback({ outcome: 'error' });
+      throw err;
+    }
+  }
+}
+
+async function trackWithPooledBrowser(block, diagnostics, signal) {
+  const leasing = browserPool.acquire();
+  let lease;
+  try {
+    lease = await raceSignal(leasing, signal);
+  } catch (err) {
+    // Gave up while waiting for a context: hand it straight back once it arrives.
+    leasing.then((late) => browserPool.release(late), () => {});
+    throw err;
+  }
+
+  let broken = false;
+  try {
+    return await trackBlock(block, { context: lease.context, diagnostics, signal });
+  } catch (err) {
+    // Expected failures are page-level (block missing, no location), and an abort only closed our pages;
+    // anything else may have hurt the context.
+    broken = !(err instanceof ExpectedFailure || err.circuitOpen || (signal && signal.aborted));
+    throw err;
+  } finally {
+    await browserPool.release(lease, { broken });
   }
 }
 
+function queueLength() {
+  return QUEUE_PRIORITIES.reduce((sum, priority) => sum + queues[priority].length, 0);
+}
+
+// Each priority has its own limit, so a backlog of scans or polling never turns away interactive lookups.
+function assertQueueRoom(priority) {
+  if (queues[priority].length < MAX_QUEUE_LENGTH) return;
+  throw Object.assign(new Error(`Too many lookups are waiting. Try again in ${QUEUE_RETRY_AFTER_SEC}s.`), {
+    code: 503,
+    queueFull: true,
+    retryAfterSec: QUEUE_RETRY_AFTER_SEC,
+  });
+}
+
 function drainQueue() {
-  while (activeWorkers < TRACK_CONCURRENCY && queue.length > 0) {
-    const next = queue.shift();
+  while (activeWorkers < TRACK_CONCURRENCY) {
+    const priority = QUEUE_PRIORITIES.find((p) => queues[p].length > 0);
+    if (!priority) return;
+    const next = queues[priority].shift();
     activeWorkers += 1;
 
-    next
-      .job()
+    Promise.resolve()
+      .then(() => next.job(next.signal))
       .then(next.resolve, next.reject)
       .finally(() => {
+        next.cleanup();
         activeWorkers -= 1;
         drainQueue();
       });
   }
 }
 
-function enqueue(job) {
+// `job(signal)` runs when a worker is free. Aborting `signal` drops a waiting job, or rejects at once
+// while the job winds down with the same signal. Bulk scans check for room once before they start
+// (assertQueueRoom) so a scan is never cut off halfway.
+function enqueue(job, { priority = 'interactive', signal = null } = {}) {
+  if (signal && signal.aborted) return Promise.reject(signal.reason);
+  if (priority !== 'bulk') assertQueueRoom(priority);
+
   return new Promise((resolve, reject) => {
-    queue.push({ job, resolve, reject });
+    const entry = { job, signal, resolve, reject, cleanup: () => {} };
+    if (signal) {
+      const onAbort = () => {
+        const waiting = queues[priority].indexOf(entry);
+        if (waiting !== -1) queues[priority].splice(waiting, 1);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+    }
+    queues[priority].push(entry);
     drainQueue();
   });
 }
 
-function parseBlockFromReq(req) {
+// Runs `job(item, signal)` for every item as bulk jobs. At most SCAN_BATCH_SIZE of them are queued or running
+// at once, so a scan over every block of the day feeds the queue gradually instead of all at once.
+async function enqueueScan(items, job, signal) {
+  const results = new Array(items.length);
+  let next = 0;
+  const feed = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await enqueue((jobSignal) => job(items[index], jobSignal), { priority: 'bulk', signal });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(SCAN_BATCH_SIZE, items.length) }, feed));
+  return results;
+}
+
+function parseBlocksFromReq(req) {
   if (typeof req.query.block === 'string') {
-    return normalizeBlock(req.query.block);
+    return [normalizeBlock(req.query.block)];
+  }
+
+  if (typeof req.query.blocks === 'string') {
+    return req.query.blocks.split(/[\s,]+/).map(normalizeBlock).filter(Boolean);
   }
 
   const text = String(req.body?.message || '').trim();
-  const match = text.match(/\b(\d{1,3}-\d{1,3})\b/);
-  return normalizeBlock(match ? match[1] : text);
+  const matches = text.match(/\b\d{1,3}-\d{1,3}\b/g);
+  return matches ? matches.map(normalizeBlock) : [normalizeBlock(text)];
+}
+
+// "44-7" and "44-07" are the same block, so duplicates are dropped by numeric key.
+function dedupeBlocks(blocks) {
+  const seen = new Set();
+  return blocks.filter((block) => {
+    const key = blockNumericKey(block) || block;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 }
 
 function validateBlockOrSend(block, res) {
@@ -336,71 +521,784 @@ function validateBlockOrSend(block, res) {
   return true;
 }
 
-function formatChatReply(payload) {
+const CHAT_HELP = [
+  'I can look up OC Transpo blocks, buses and routes. Try:',
+  '- "44-07": where the bus on block 44-07 is',
+  '- "where is bus 4602": which block bus 4602 is on and where it is',
+  '- "when does 44-07 end": when the block finishes',
+  '- "next trip for 95-3": the block\'s next trip',
+  '- "trips for 44-07": every trip on the block',
+  '- "route 44": every block on route 44 and its bus',
+].join('\n');
+
+// One reply builder per chat intent; `payload` is whatever that intent's lookup returned.
+function formatChatReply(payload, intent = 'block') {
+  switch (intent) {
+    case 'bus':
+      return formatBusReply(payload);
+    case 'route':
+      return formatRouteReply(payload);
+    case 'trips':
+      return formatItineraryReply(payload);
+    case 'block-end':
+      return formatBlockEndReply(payload);
+    case 'next-trip':
+      return formatNextTripReply(payload);
+    case 'help':
+      return CHAT_HELP;
+    case 'unknown':
+      return `Sorry, I didn't understand that.\n${CHAT_HELP}`;
+    default:
+      return formatBlockReply(payload);
+  }
+}
+
+function formatBlockReply(payload) {
   const buses = Array.isArray(payload?.buses) ? payload.buses : [];
   if (!buses.length) {
     return `Block ${payload?.block || ''}: no buses found right now.`.trim();
   }
 
-  const lines = [`Block ${payload.block}`];
+  const pastDay = payload.serviceDate && payload.serviceDate !== currentServiceDate();
+  const lines = [pastDay ? `Block ${payload.block} (service day ${payload.serviceDate})` : `Block ${payload.block}`];
   for (const bus of buses) {
     lines.push(`Bus ${bus.busNumber}: ${bus.locationText}`);
   }
+
+  const adherence = payload.adherence;
+  if (adherence && adherence.status !== 'unknown') {
+    const trip = adherence.currentTrip;
+    lines.push(`Schedule: ${adherence.summary}${trip ? ` (trip ${describeTripBrief(trip)})` : ''}`);
+  }
+
+  const swaps = Array.isArray(payload.swaps) ? payload.swaps : [];
+  for (const swap of swaps) {
+    const when = swap.at ? ` at ${swap.at}` : '';
+    lines.push(
+      swap.pending
+        ? `Heads up: change-off from bus ${swap.fromBus} to bus ${swap.toBus} scheduled${when}.`
+        : `Swap: bus ${swap.fromBus} -> bus ${swap.toBus}${when}.`
+    );
+  }
   return lines.join('\n');
 }
 
-async function handleLookup(req, res) {
-  const rawBlock = parseBlockFromReq(req);
+function formatBusReply(payload) {
+  const lines = [`Bus ${payload.busNumber}`];
+  const current = payload.blocks.find((b) => b.status === 'current');
+  if (current) {
+    const trip = current.currentTrip || {};
+    const tripParts = [trip.route ? `route ${trip.route}` : null, trip.headsign ? `to ${trip.headsign}` : null];
+    const tripText = tripParts.filter(Boolean).join(' ');
+    lines.push(tripText ? `On block ${current.block} (${tripText})` : `On block ${current.block}`);
+  } else {
+    lines.push('Not on an active block right now.');
+  }
+
+  const earlier = payload.blocks.filter((b) => b.status === 'earlier').map((b) => b.block);
+  if (earlier.length) lines.push(`Earlier blocks: ${earlier.join(', ')}`);
+
+  lines.push(payload.locationText ? `Location: ${payload.locationText}` : 'Location: not available');
+  return lines.join('\n');
+}
+
+// rows: [{ block, busNumber, locationText }]; source: 'direct' or 'playwright'.
+// Rows are for the current service day: route and bus scans only read today, and block lookups for
+// another day are not recorded (their bus is from that day, but the location is live).
+// A row is only written when the block's bus or location changed, so a board polling every 30 s
+// adds nothing while a bus sits still.
+function recordHistory(source, rows) {
+  const at = new Date().toISOString();
+  const serviceDate = currentServiceDate();
+  history.append(
+    rows
+      .filter((row) => row && row.block && row.busNumber)
+      .filter((row) => {
+        const signature = `${serviceDate}|${row.busNumber}|${row.locationText || ''}`;
+        if (lastHistoryByBlock.get(row.block) === signature) return false;
+        lastHistoryByBlock.set(row.block, signature);
+        return true;
+      })
+      .map((row) => ({
+        at,
+        serviceDate,
+        block: row.block,
+        busNumber: String(row.busNumber),
+        locationText: row.locationText || null,
+        source,
+      }))
+  );
+}
+
+async function handleHistory(req, res, match) {
+  const from = parseRangeBound(req.query.from, false);
+  const to = parseRangeBound(req.query.to, true);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    res.status(400).json({ ok: false, error: 'from and to must be dates like 2026-03-14 or ISO timestamps.' });
+    return;
+  }
+  const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 200));
+
+  try {
+    const rows = await history.query({ match, from, to, limit });
+    res.json({ ok: true, count: rows.length, rows });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+function formatRouteReply(payload) {
+  const { summary } = payload;
+  const lines = [
+    `Route ${payload.route}: ${summary.total} blocks, ${summary.withBus} with a bus, ${summary.withoutBus} missing a vehicle`,
+  ];
+  for (const row of payload.blocks) {
+    if (row.status === 'no-bus') {
+      lines.push(`${row.block}: no bus assigned`);
+    } else if (row.status === 'error') {
+      lines.push(`${row.block}: ${row.error}`);
+    } else {
+      lines.push(`${row.block} bus ${row.busNumber}: ${row.locationText || 'location not available'}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Every block's adherence today. Concurrent callers share one scan; each applies its own threshold.
+function fetchAdherenceScan() {
+  if (pendingLateScan) return pendingLateScan;
+
+  pendingLateScan = withTimeout(async (signal) => {
+    assertQueueRoom('bulk');
+    const freshness = createFreshness();
+    const available = await fetchAvailableBlocks(null, freshness, signal);
+    let errors = 0;
+    const rows = await enqueueScan(
+      available,
+      async (block, jobSignal) => {
+        try {
+          const trips = await fetchBlockTrips(block, null, freshness, jobSignal);
+          return { block, busNumber: pickMostRecentBusId(trips), adherence: blockAdherence(trips, null) };
+        } catch (_) {
+          errors += 1;
+          return null;
+        }
+      },
+      signal
+    );
+    return { rows: rows.filter(Boolean), scanned: available.length, errors, freshness };
+  }, BUS_SCAN_TIMEOUT_MS).finally(() => {
+    pendingLateScan = null;
+  });
+  return pendingLateScan;
+}
+
+async function handleLateBlocks(req, res) {
+  const threshold = req.query.threshold === undefined ? LATE_THRESHOLD_MIN : Number(req.query.threshold);
+  if (!Number.isInteger(threshold) || threshold < 0 || threshold > 180) {
+    res.status(400).json({ ok: false, error: 'threshold must be a whole number of minutes from 0 to 180.' });
+    return;
+  }
+
+  try {
+    const { rows, scanned, errors, freshness } = await fetchAdherenceScan();
+    const blocks = rows
+      .filter((row) => row.adherence.delayMin !== null && row.adherence.delayMin > threshold)
+      .sort(
+        (a, b) =>
+          b.adherence.delayMin - a.adherence.delayMin || a.block.localeCompare(b.block, undefined, { numeric: true })
+      )
+      .map(({ block, busNumber, adherence }) => ({
+        block,
+        busNumber,
+        delayMin: adherence.delayMin,
+        basis: adherence.basis,
+        summary: adherence.summary,
+        currentTrip: adherence.currentTrip,
+      }));
+    res.json({
+      ok: true,
+      serviceDate: currentServiceDate(),
+      threshold,
+      count: blocks.length,
+      blocks,
+      scanned,
+      errors,
+      cached: freshness.cached,
+      ageSec: freshness.ageSec,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+async function handleRouteLookup(req, res, rawRoute) {
+  if (!/^\d{1,3}$/.test(rawRoute || '')) {
+    res.status(400).json({ ok: false, error: 'Route must be a number like 44.' });
+    return;
+  }
+
+  try {
+    const freshness = createFreshness();
+    const payload = await fetchRouteResult(String(Number(rawRoute)), freshness);
+    recordHistory('direct', payload.blocks.filter((row) => row.locationText));
+    res.json({
+      ok: true,
+      ...payload,
+      buses: payload.blocks.filter((row) => row.locationText),
+      cached: freshness.cached,
+      ageSec: freshness.ageSec,
+      reply: formatChatReply(payload, 'route'),
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+function describeDelay(minutes) {
+  if (minutes === null || minutes === undefined) return null;
+  if (minutes === 0) return 'on time';
+  return minutes > 0 ? `${minutes} min late` : `${-minutes} min early`;
+}
+
+function describeTripBrief(trip) {
+  const parts = [trip.scheduledStart, trip.route ? `route ${trip.route}` : null, trip.headsign ? `to ${trip.headsign}` : null];
+  return parts.filter(Boolean).join(' ');
+}
+
+function formatItineraryReply(payload) {
+  const lines = [`Block ${payload.block}: ${payload.trips.length} trips, ends ${payload.blockEnd || 'unknown'}`];
+  const current = payload.currentTrip;
+  if (current) {
+    const extras = [describeDelay(current.startDelayMin), current.busNumber ? `bus ${current.busNumber}` : null];
+    lines.push(
+      `Now: trip ${current.index + 1}/${payload.trips.length} ${describeTripBrief(current)} (${extras.filter(Boolean).join(', ')})`
+    );
+  } else {
+    lines.push('Now: no trip in progress');
+  }
+  lines.push(payload.nextTrip ? `Next: ${describeTripBrief(payload.nextTrip)}` : 'Next: no more trips');
+  return lines.join('\n');
+}
+
+function formatBlockEndReply(payload) {
+  const last = payload.trips[payload.trips.length - 1];
+  if (!last) return `Block ${payload.block}: no trips found.`;
+  if (payload.ended) {
+    return `Block ${payload.block} has already ended. Its last trip finished at ${last.actualEnd || last.scheduledEnd || 'an unknown time'}.`;
+  }
+
+  const left = payload.trips.filter((trip) => trip.status !== 'completed').length;
+  return [
+    `Block ${payload.block} ends at ${payload.blockEnd || 'an unknown time'}.`,
+    `Last trip: ${describeTripBrief(last)}${last.busNumber ? ` (bus ${last.busNumber})` : ''}`,
+    `${left} of ${payload.trips.length} trips still to finish.`,
+  ].join('\n');
+}
+
+function formatNextTripReply(payload) {
+  const next = payload.nextTrip;
+  if (!next) {
+    return payload.ended
+      ? `Block ${payload.block} has ended, so there are no more trips.`
+      : `Block ${payload.block}: no more trips after the current one.`;
+  }
+
+  const lines = [`Block ${payload.block} next trip: ${describeTripBrief(next)}${next.busNumber ? ` on bus ${next.busNumber}` : ''}`];
+  const current = payload.currentTrip;
+  if (current) {
+    const delay = describeDelay(current.startDelayMin);
+    lines.push(`Now on: ${describeTripBrief(current)}${delay ? ` (${delay})` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+async function fetchItineraryResult(rawBlock, serviceDate, freshness) {
+  const block = await resolveCanonicalBlock(rawBlock, serviceDate, freshness);
+  if (!block) throw await blockNotFoundError(rawBlock, serviceDate, freshness);
+
+  const trips = await withTimeout(
+    (signal) => enqueue((jobSignal) => fetchBlockTrips(block, serviceDate, freshness, jobSignal), { signal }),
+    RUN_TIMEOUT_MS
+  );
+  return { block, ...buildItinerary(trips) };
+}
+
+// `intent` picks the reply: the full itinerary, when the block ends, or its next trip.
+async function handleBlockTrips(req, res, rawBlock, intent = 'trips') {
   if (!validateBlockOrSend(rawBlock, res)) return;
 
   try {
-    const block = await resolveCanonicalBlock(rawBlock);
-    if (!block) {
-      res.status(404).json({
-        ok: false,
-        error: `Block not found: ${rawBlock}`,
+    const serviceDate = parseServiceDate(req.query.date ?? req.body?.date) || currentServiceDate();
+    const freshness = createFreshness();
+    const payload = await fetchItineraryResult(rawBlock, serviceDate, freshness);
+    res.json({
+      ok: true,
+      intent,
+      ...payload,
+      serviceDate,
+      cached: freshness.cached,
+      ageSec: freshness.ageSec,
+      reply: formatChatReply(payload, intent),
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+function errorStatus(err) {
+  const code = Number(err.code);
+  return [400, 404, 503, 504].includes(code) ? code : 500;
+}
+
+function sendError(res, err) {
+  if (err.retryAfterSec) res.set('Retry-After', String(err.retryAfterSec));
+  res.status(errorStatus(err)).json({
+    ok: false,
+    error: String(err.message || 'Unexpected error').slice(0, 500),
+    ...(err.suggestions ? { suggestions: err.suggestions } : {}),
+    ...(err.requestId ? { requestId: err.requestId } : {}),
+  });
+}
+
+async function handleBusLookup(req, res, busNumber) {
+  if (!/^\d{3,5}$/.test(busNumber || '')) {
+    res.status(400).json({ ok: false, error: 'Bus number must look like 4602.' });
+    return;
+  }
+
+  try {
+    const { freshness, ...payload } = await fetchBusResult(busNumber);
+    if (payload.block) recordHistory('direct', payload.buses.map((bus) => ({ block: payload.block, ...bus })));
+    res.json({
+      ok: true,
+      ...payload,
+      cached: freshness.cached,
+      ageSec: freshness.ageSec,
+      reply: formatChatReply(payload, 'bus'),
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+async function handleChat(req, res) {
+  const parsed = parseChatIntent(req.body?.message);
+  switch (parsed.intent) {
+    case 'bus':
+      await handleBusLookup(req, res, parsed.busNumber);
+      return;
+    case 'route':
+      await handleRouteLookup(req, res, parsed.route);
+      return;
+    case 'trips':
+    case 'block-end':
+    case 'next-trip':
+      await handleBlockTrips(req, res, normalizeBlock(parsed.block), parsed.intent);
+      return;
+    case 'block':
+      await handleLookup(req, res);
+      return;
+    default:
+      res.json({
+        ok: true,
+        intent: parsed.intent,
+        reply: formatChatReply(null, parsed.intent),
+        generatedAt: new Date().toISOString(),
       });
+  }
+}
+
+function buildTrackResponse(payload, freshness, serviceDate = currentServiceDate()) {
+  // The browser fallback never reads the cache, so its results are always fresh.
+  noteFreshness(freshness, payload.freshness || { cached: false, ageSec: 0 });
+  return {
+    ok: true,
+    block: payload.block,
+    serviceDate,
+    // Results without parsed details still get them from the cleaned text.
+    buses: payload.buses.map((bus) => ({
+      ...bus,
+      locationDetails: bus.locationDetails || parseLocationLine(bus.locationText),
+      url: isTransSeeUrl(bus.url) ? bus.url : null,
+    })),
+    vehicles: payload.vehicles || [],
+    swaps: payload.swaps || [],
+    // The browser fallback does not read trip times, so it has no adherence.
+    adherence: payload.adherence || null,
+    source: payload.source || 'direct',
+    cached: freshness.cached,
+    ageSec: freshness.ageSec,
+    reply: formatChatReply({ ...payload, serviceDate }),
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+async function lookupBlock(rawBlock, serviceDate, priority = 'interactive') {
+  const diagnostics = createDiagnostics({ kind: 'block', block: rawBlock, serviceDate });
+  try {
+    const freshness = createFreshness();
+    const block = await diagnostics.time('resolve', () => resolveCanonicalBlock(rawBlock, serviceDate, freshness));
+    if (!block) throw await blockNotFoundError(rawBlock, serviceDate, freshness);
+
+    const payload = await fetchLiveResultWithFallback(block, diagnostics, serviceDate, priority);
+    if (serviceDate === currentServiceDate()) {
+      recordHistory(payload.source, payload.buses.map((bus) => ({ block: payload.block, ...bus })));
+    }
+    return buildTrackResponse(payload, freshness, serviceDate);
+  } catch (err) {
+    // A polled block that keeps failing would write a new bundle on every poll.
+    if (priority !== 'background') {
+      await diagnosticsStore.save(diagnostics, err);
+      err.requestId = diagnostics.requestId;
+    }
+    throw err;
+  }
+}
+
+// Each block gets its own result, so one bad block does not fail the rest.
+async function handleMultiLookup(blocks, serviceDate, priority, res) {
+  const results = await Promise.all(
+    blocks.map(async (rawBlock) => {
+      if (!isLikelyBlock(rawBlock)) {
+        return { ok: false, block: rawBlock, status: 400, error: 'Block format must look like 44-07.' };
+      }
+      try {
+        return await lookupBlock(rawBlock, serviceDate, priority);
+      } catch (err) {
+        return {
+          ok: false,
+          block: rawBlock,
+          status: errorStatus(err),
+          error: String(err.message || 'Unexpected error').slice(0, 500),
+          ...(err.suggestions ? { suggestions: err.suggestions } : {}),
+          requestId: err.requestId || null,
+        };
+      }
+    })
+  );
+
+  res.json({
+    ok: true,
+    results,
+    reply: results.map((r) => (r.ok ? r.reply : `Block ${r.block}: ${r.error}`)).join('\n\n'),
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+// Pollers such as the board send `priority=background`: they queue behind people waiting on an answer and never
+// start the browser fallback. Nothing can ask for more than the default interactive priority.
+async function handleLookup(req, res) {
+  const priority = req.query.priority === 'background' ? 'background' : 'interactive';
+  let serviceDate;
+  try {
+    serviceDate = parseServiceDate(req.query.date ?? req.body?.date) || currentServiceDate();
+  } catch (err) {
+    sendError(res, err);
+    return;
+  }
+
+  const blocks = dedupeBlocks(parseBlocksFromReq(req));
+  if (blocks.length > 1) {
+    if (blocks.length > MAX_BLOCKS_PER_REQUEST) {
+      res.status(400).json({ ok: false, error: `Send at most ${MAX_BLOCKS_PER_REQUEST} blocks at once.` });
       return;
     }
+    await handleMultiLookup(blocks, serviceDate, priority, res);
+    return;
+  }
+
+  const rawBlock = blocks[0] || '';
+  if (!validateBlockOrSend(rawBlock, res)) return;
+
+  try {
+    res.json(await lookupBlock(rawBlock, serviceDate, priority));
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function busSignature(body) {
+  const schedule = body.adherence ? body.adherence.summary : '';
+  return [...body.buses.map((bus) => `${bus.busNumber}|${bus.locationText}`), schedule].join('\n');
+}
+
+// One poller per block is shared by all of its subscribers. Each client only hears about changes.
+async function pollStream(block) {
+  const stream = streamsByBlock.get(block);
+  if (!stream || stream.polling) return;
+  stream.polling = true;
+
+  let event;
+  let signature;
+  try {
+    const payload = await withTimeout(
+      (signal) => fetchLiveResult(block, undefined, { priority: 'background', signal }),
+      RUN_TIMEOUT_MS
+    );
+    const body = buildTrackResponse(payload, createFreshness());
+    event = { name: 'update', data: body };
+    signature = busSignature(body);
+  } catch (err) {
+    const message = String(err.message || 'Unexpected error').slice(0, 500);
+    event = { name: 'lookup-error', data: { ok: false, block, error: message } };
+    signature = `error|${message}`;
+  } finally {
+    stream.polling = false;
+  }
+
+  stream.last = { event, signature };
+  for (const client of stream.clients) {
+    if (client.signature === signature) {
+      client.res.write(': no change\n\n');
+      continue;
+    }
+    client.signature = signature;
+    writeEvent(client.res, event.name, event.data);
+  }
+}
 
-    const payload = await fetchLiveResultWithFallback(block);
+function subscribeStream(block, res) {
+  let stream = streamsByBlock.get(block);
+  if (!stream) {
+    stream = { clients: new Set(), timer: null, polling: false, last: null };
+    streamsByBlock.set(block, stream);
+    stream.timer = setInterval(() => pollStream(block), STREAM_POLL_MS);
+    pollStream(block);
+  }
+
+  const client = { res, signature: null };
+  stream.clients.add(client);
+  if (stream.last) {
+    client.signature = stream.last.signature;
+    writeEvent(res, stream.last.event.name, stream.last.event.data);
+  }
+
+  return () => {
+    stream.clients.delete(client);
+    if (stream.clients.size === 0) {
+      clearInterval(stream.timer);
+      streamsByBlock.delete(block);
+    }
+  };
+}
+
+async function handleTrackStream(req, res) {
+  const rawBlock = normalizeBlock(req.params.block);
+  if (!validateBlockOrSend(rawBlock, res)) return;
+
+  let block;
+  try {
+    block = await resolveCanonicalBlock(rawBlock, null);
+    if (!block) throw await blockNotFoundError(rawBlock, null);
+  } catch (err) {
+    sendError(res, err);
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_POLL_MS}\n\n`);
+
+  const unsubscribe = subscribeStream(block, res);
+  req.on('close', unsubscribe);
+}
+
+const watcher = createWatcher({
+  storePath: WATCH_STORE_PATH,
+  pollMs: WATCH_POLL_MS,
+  allowedHosts: WEBHOOK_ALLOWED_HOSTS,
+  checkBlock: (block) =>
+    enqueue(
+      async (signal) => {
+        const { currentBus, trips } = await fetchBusesForBlock(block, null, undefined, signal);
+        return { currentBus, ended: buildItinerary(trips).ended };
+      },
+      { priority: 'background' }
+    ),
+});
+
+async function handleCreateWatch(req, res) {
+  const rawBlock = normalizeBlock(req.body?.block);
+  if (!validateBlockOrSend(rawBlock, res)) return;
+
+  try {
+    const block = await resolveCanonicalBlock(rawBlock, null);
+    if (!block) throw await blockNotFoundError(rawBlock, null);
+    const watch = watcher.add(block, req.body?.webhookUrl);
+    res.status(201).json({ ok: true, watch });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+async function handleBlockList(req, res) {
+  const prefix = normalizeBlock(req.query.prefix);
+  if (prefix && !isBlockPrefix(prefix)) {
+    res.status(400).json({ ok: false, error: 'prefix must look like 44 or 44-0.' });
+    return;
+  }
+  // A prefix search is for typeahead, so it gets a short list unless a limit is asked for.
+  const limit = prefix || req.query.limit ? Math.min(500, Math.max(1, Number(req.query.limit) || 20)) : Infinity;
+
+  try {
+    const serviceDate = parseServiceDate(req.query.date) || currentServiceDate();
+    const freshness = createFreshness();
+    const available = await withTimeout((signal) => fetchAvailableBlocks(serviceDate, freshness, signal), RUN_TIMEOUT_MS);
+    const blocks = (prefix ? filterBlocksByPrefix(available, prefix) : [...available])
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .slice(0, limit);
     res.json({
       ok: true,
-      block: payload.block,
-      buses: payload.buses,
-      cached: false,
-      reply: formatChatReply(payload),
-      generatedAt: new Date().toISOString(),
+      serviceDate,
+      prefix: prefix || null,
+      count: blocks.length,
+      blocks,
+      cached: freshness.cached,
+      ageSec: freshness.ageSec,
     });
   } catch (err) {
-    const code = Number(err.code);
-    const status = code === 400 ? 400 : code === 404 ? 404 : code === 504 ? 504 : 500;
-    res.status(status).json({
-      ok: false,
-      error: String(err.message || 'Unexpected error').slice(0, 500),
-    });
+    sendError(res, err);
   }
 }
 
 app.get('/api/track', handleLookup);
-app.post('/api/chat', handleLookup);
+app.get('/api/blocks', handleBlockList);
+app.get('/api/track/:block/stream', handleTrackStream);
+app.post('/api/chat', handleChat);
+app.get('/api/block/:block/trips', (req, res) => handleBlockTrips(req, res, normalizeBlock(req.params.block)));
+app.get('/api/late', handleLateBlocks);
+app.get('/api/route/:route', (req, res) => handleRouteLookup(req, res, String(req.params.route || '').trim()));
+app.get('/api/bus/:busNumber', (req, res) => handleBusLookup(req, res, String(req.params.busNumber || '').trim()));
+
+app.get('/api/history/block/:block', (req, res) => {
+  const block = normalizeBlock(req.params.block);
+  if (!validateBlockOrSend(block, res)) return;
+  const key = blockNumericKey(block);
+  handleHistory(req, res, (row) => blockNumericKey(row.block) === key);
+});
+app.get('/api/history/bus/:bus', (req, res) => {
+  const busNumber = String(req.params.bus || '').trim();
+  if (!/^\d{3,5}$/.test(busNumber)) {
+    res.status(400).json({ ok: false, error: 'Bus number must look like 4602.' });
+    return;
+  }
+  handleHistory(req, res, (row) => row.busNumber === busNumber);
+});
+
+function hasToken(req, token) {
+  const header = String(req.get('authorization') || '');
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : String(req.query.token || ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function handleDebugBundle(req, res) {
+  // Bundles hold raw upstream pages, so they are only served when a token is configured and given.
+  if (!DEBUG_TOKEN) {
+    res.status(404).json({ ok: false, error: 'Debug bundles are disabled. Set DEBUG_TOKEN to enable them.' });
+    return;
+  }
+  if (!hasToken(req, DEBUG_TOKEN)) {
+    res.status(401).json({ ok: false, error: 'A valid debug token is required.' });
+    return;
+  }
+
+  const bundle = await diagnosticsStore.read(req.params.requestId);
+  if (!bundle) {
+    res.status(404).json({ ok: false, error: `No diagnostic bundle for request ${req.params.requestId}` });
+    return;
+  }
+  res.set('Content-Disposition', `attachment; filename="debug-${bundle.manifest.requestId}.json"`);
+  res.json({ ok: true, ...bundle });
+}
+
+app.get('/api/debug/:requestId', handleDebugBundle);
+
+// Watches make the server call out to a webhook, so managing them needs WATCH_TOKEN, like the debug bundles.
+function requireWatchToken(req, res, next) {
+  if (!WATCH_TOKEN) {
+    res.status(404).json({ ok: false, error: 'Watches are disabled. Set WATCH_TOKEN to enable them.' });
+    return;
+  }
+  if (!hasToken(req, WATCH_TOKEN)) {
+    res.status(401).json({ ok: false, error: 'A valid watch token is required.' });
+    return;
+  }
+  next();
+}
+
+app.use('/api/watches', requireWatchToken);
+app.post('/api/watches', handleCreateWatch);
+app.get('/api/watches', (_req, res) => {
+  res.json({ ok: true, watches: watcher.list().map(redactWatch) });
+});
+app.delete('/api/watches/:id', (req, res) => {
+  if (!watcher.remove(req.params.id)) {
+    res.status(404).json({ ok: false, error: `Watch not found: ${req.params.id}` });
+    return;
+  }
+  res.json({ ok: true });
+});
 
 app.get('/healthz', (_req, res) => {
+  const circuitStates = circuitSnapshot();
+  const openCircuits = Object.keys(circuitStates).filter((key) => circuitStates[key].state === 'open');
   res.json({
-    ok: true,
+    ok: openCircuits.length === 0,
+    openCircuits,
+    circuits: circuitStates,
     uptimeSec: Math.round(process.uptime()),
-    queueDepth: queue.length,
+    queueDepth: queueLength(),
+    queueByPriority: Object.fromEntries(QUEUE_PRIORITIES.map((priority) => [priority, queues[priority].length])),
+    maxQueueLength: MAX_QUEUE_LENGTH,
     activeWorkers,
     pendingBlocks: pendingByBlock.size,
-    liveOnly: true,
+    pendingFallbacks: pendingFallbacks.size,
+    pendingBuses: pendingByBus.size,
+    watches: watcher.list().length,
+    browserPool: browserPool.snapshot(),
+    diagnostics: diagnosticsStore.snapshot(),
+    streams: streamsByBlock.size,
+    streamClients: [...streamsByBlock.values()].reduce((sum, stream) => sum + stream.clients.size, 0),
+    cache: Object.fromEntries(Object.entries(caches).map(([key, cache]) => [key, cache.snapshot()])),
+    liveOnly: false,
     mode: 'direct-http',
+    upstreamMode: UPSTREAM_MODE,
   });
 });
 
+app.get('/metrics', (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+app.get('/board', (_req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'board.html'));
+});
+
 app.get('*', (_req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+watcher.start();
+history.start();
+diagnosticsStore.start();
+// Replay mode never uses the browser, so there is nothing to warm up.
+if (!isReplayMode()) browserPool.warmUp(BROWSER_POOL_WARM);
+
 app.listen(PORT, () => {
   console.error(`OC Bus Tracker web app listening on :${PORT}`);
 });
@@ -0,0 +1,76 @@
+'use strict';
+
+// OC Transpo's service day runs past midnight: owl trips after 00:00 still belong to the previous
+// day's blocks. Clock times before the rollover hour count as the end of the previous service day.
+const SERVICE_DAY_ROLLOVER_HOUR = Math.min(12, Math.max(0, Number(process.env.SERVICE_DAY_ROLLOVER_HOUR ?? 4)));
+const DAY_SEC = 24 * 60 * 60;
+// Trip times written as clock times before this hour ("00:40" rather than "24:40") are owl trips after
+// midnight. That is a property of the schedule, not of when lookups switch days, so it does not follow
+// SERVICE_DAY_ROLLOVER_HOUR: a later rollover would otherwise sort a block's 05:00 first trip last.
+const OWL_TRIP_CUTOFF_HOUR = 4;
+
+// Calendar date (YYYY-MM-DD) and seconds since midnight in Ottawa at the given instant.
+function ottawaClock(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/Toronto',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+
+  const map = {};
+  for (const p of parts) map[p.type] = p.value;
+  return {
+    date: `${map.year}-${map.month}-${map.day}`,
+    seconds: Number(map.hour) * 3600 + Number(map.minute) * 60 + Number(map.second),
+  };
+}
+
+function shiftDate(isoDate, days) {
+  const d = new Date(`${isoDate}T12:00:00.000Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// The service day at the given instant and seconds into it, so 01:10 on the 15th is 25:10 on the 14th.
+function serviceDayClock(now = new Date()) {
+  const clock = ottawaClock(now);
+  return clock.seconds < SERVICE_DAY_ROLLOVER_HOUR * 3600
+    ? { date: shiftDate(clock.date, -1), seconds: clock.seconds + DAY_SEC }
+    : clock;
+}
+
+function currentServiceDate(now = new Date()) {
+  return serviceDayClock(now).date;
+}
+
+// Hours past 24 ("25:10") and early-morning clock times ("01:10") both land after midnight of the service day.
+function serviceDaySeconds(hours, minutes, seconds = 0) {
+  const total = hours * 3600 + minutes * 60 + seconds;
+  return hours < OWL_TRIP_CUTOFF_HOUR ? total + DAY_SEC : total;
+}
+
+// Returns YYYY-MM-DD, null when no date was given, or throws a 400 error for anything else.
+function parseServiceDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const parsed = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T12:00:00.000Z`) : null;
+  if (!parsed || Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== text) {
+    throw Object.assign(new Error('date must be a service day like 2026-03-14.'), { code: 400 });
+  }
+  return text;
+}
+
+module.exports = {
+  SERVICE_DAY_ROLLOVER_HOUR,
+  currentServiceDate,
+  ottawaClock,
+  parseServiceDate,
+  serviceDayClock,
+  serviceDaySeconds,
+  shiftDate,
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { parseChatIntent } = require('../chat_intents');
+
+// Keyword order decides which handler a message reaches, so every phrase here pins one decision.
+const CASES = [
+  // The phrases from the request.
+  ['where is bus 4602', { intent: 'bus', busNumber: '4602' }],
+  ['when does 44-07 end', { intent: 'block-end', block: '44-07' }],
+  ['next trip for 95-3', { intent: 'next-trip', block: '95-3' }],
+  ['route 44', { intent: 'route', route: '44' }],
+  ['help', { intent: 'help' }],
+
+  // Spelling and punctuation staff actually type.
+  ['Where is bus #4602?', { intent: 'bus', busNumber: '4602' }],
+  ["where's 4602", { intent: 'bus', busNumber: '4602' }],
+  ['When does 44-07 end?', { intent: 'block-end', block: '44-07' }],
+  ['is 44-07 done', { intent: 'block-end', block: '44-07' }],
+  ['schedule for 44-07', { intent: 'trips', block: '44-07' }],
+  ['Route #44', { intent: 'route', route: '44' }],
+  ['HELP!', { intent: 'help' }],
+  ['?', { intent: 'help' }],
+  ['', { intent: 'help' }],
+
+  // Blocks.
+  ['44-07', { intent: 'block', blocks: ['44-07'] }],
+  ['44-07, 95-3 and 11-02', { intent: 'block', blocks: ['44-07', '95-3', '11-02'] }],
+  // With several blocks the keywords are ignored: end and next-trip answers are per block.
+  ['44-07 95-03 end', { intent: 'block', blocks: ['44-07', '95-03'] }],
+
+  // Bare numbers: four or five digits are a bus, up to three a route.
+  ['4602', { intent: 'bus', busNumber: '4602' }],
+  ['#4602?', { intent: 'bus', busNumber: '4602' }],
+  ['44', { intent: 'route', route: '44' }],
+
+  // Near misses.
+  ['44-07 next stop?', { intent: 'block', blocks: ['44-07'] }],
+  ['where is 44-07 headed, next stops?', { intent: 'block', blocks: ['44-07'] }],
+  ['what is 44-07 doing next', { intent: 'next-trip', block: '44-07' }],
+  ['bus 44-07', { intent: 'block', blocks: ['44-07'] }],
+  ['route 44-07', { intent: 'block', blocks: ['44-07'] }],
+  ['vehicle 4602 on 44-07', { intent: 'bus', busNumber: '4602' }],
+  ['end of route 44', { intent: 'route', route: '44' }],
+  ['next trip', { intent: 'unknown' }],
+  ['helpful', { intent: 'unknown' }],
+  ['Hi there', { intent: 'unknown' }],
+  ['12345678', { intent: 'unknown' }],
+];
+
+for (const [message, expected] of CASES) {
+  test(`parseChatIntent(${JSON.stringify(message)})`, () => {
+    assert.deepEqual(parseChatIntent(message), expected);
+  });
+}
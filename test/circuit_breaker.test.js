@@ -0,0 +1,136 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { createCircuitBreaker } = require('../circuit_breaker');
+
+const COOLDOWN_MS = 30;
+
+function breaker(options = {}) {
+  return createCircuitBreaker({
+    name: 'test',
+    label: 'Test upstream',
+    failureThreshold: 2,
+    cooldownMs: COOLDOWN_MS,
+    halfOpenProbes: 1,
+    ...options,
+  });
+}
+
+function fail(message = 'upstream down') {
+  return () => Promise.reject(new Error(message));
+}
+
+function abortedCall() {
+  return () => Promise.reject(Object.assign(new Error('Target page, context or browser has been closed'), { aborted: true }));
+}
+
+function waitCooldown() {
+  return new Promise((resolve) => setTimeout(resolve, COOLDOWN_MS + 10));
+}
+
+test('an aborted call leaves the failure streak alone', async () => {
+  const circuit = breaker({ failureThreshold: 3 });
+  await assert.rejects(circuit.run(fail()));
+  assert.equal(circuit.snapshot().consecutiveFailures, 1);
+
+  await assert.rejects(circuit.run(abortedCall()), { aborted: true });
+  assert.equal(circuit.snapshot().consecutiveFailures, 1);
+  assert.equal(circuit.snapshot().recentCalls, 1);
+});
+
+test('an aborted probe leaves the circuit half-open', async () => {
+  const circuit = breaker();
+  await assert.rejects(circuit.run(fail()));
+  await assert.rejects(circuit.run(fail()));
+  assert.equal(circuit.snapshot().state, 'open');
+
+  await waitCooldown();
+  await assert.rejects(circuit.run(abortedCall()), { aborted: true });
+  assert.equal(circuit.snapshot().state, 'half-open');
+  assert.equal(circuit.isOpen(), false, 'the next call may probe again');
+});
+
+test('the circuit opens after the failure threshold and then fails fast', async () => {
+  const circuit = breaker();
+  await assert.rejects(circuit.run(fail('first')));
+  assert.equal(circuit.snapshot().state, 'closed');
+  await assert.rejects(circuit.run(fail('second')));
+  assert.equal(circuit.snapshot().state, 'open');
+
+  let called = false;
+  await assert.rejects(
+    circuit.run(async () => {
+      called = true;
+    }),
+    { code: 503, circuitOpen: true, source: 'test', message: /Last error: second/ }
+  );
+  assert.equal(called, false);
+  assert.equal(circuit.snapshot().rejected, 1);
+  assert.ok(circuit.snapshot().retryAfterSec >= 1);
+});
+
+test('a success in between resets the failure streak', async () => {
+  const circuit = breaker();
+  await assert.rejects(circuit.run(fail()));
+  assert.equal(await circuit.run(async () => 'ok'), 'ok');
+  await assert.rejects(circuit.run(fail()));
+  assert.equal(circuit.snapshot().state, 'closed');
+  assert.equal(circuit.snapshot().consecutiveFailures, 1);
+});
+
+test('errors that say nothing about the upstream do not count', async () => {
+  const circuit = breaker();
+  const notFound = () => Promise.reject(Object.assign(new Error('Block not found'), { code: 404 }));
+  const isFailure = (err) => err.code !== 404;
+  for (let i = 0; i < 5; i += 1) {
+    await assert.rejects(circuit.run(notFound, isFailure), { code: 404 });
+  }
+  assert.equal(circuit.snapshot().state, 'closed');
+  assert.equal(circuit.snapshot().consecutiveFailures, 0);
+  assert.equal(circuit.snapshot().recentFailures, 0);
+});
+
+test('after the cooldown one probe goes through and a success closes the circuit', async () => {
+  const circuit = breaker();
+  await assert.rejects(circuit.run(fail()));
+  await assert.rejects(circuit.run(fail()));
+  await waitCooldown();
+  assert.equal(circuit.snapshot().state, 'half-open');
+
+  let release;
+  const probe = circuit.run(() => new Promise((resolve) => (release = resolve)));
+  // Only one probe at a time; everything else still fails fast.
+  assert.equal(circuit.isOpen(), true);
+  await assert.rejects(circuit.run(async () => 'second probe'), { circuitOpen: true });
+
+  release('probed');
+  assert.equal(await probe, 'probed');
+  assert.equal(circuit.snapshot().state, 'closed');
+  assert.equal(circuit.snapshot().consecutiveFailures, 0);
+});
+
+test('a failed probe opens the circuit again for another cooldown', async () => {
+  const circuit = breaker();
+  await assert.rejects(circuit.run(fail()));
+  await assert.rejects(circuit.run(fail()));
+  await waitCooldown();
+
+  await assert.rejects(circuit.run(fail('still down')), { message: 'still down' });
+  assert.equal(circuit.snapshot().state, 'open');
+  assert.equal(circuit.snapshot().timesOpened, 2);
+  await assert.rejects(circuit.run(async () => 'too soon'), { circuitOpen: true });
+});
+
+test('the snapshot reports the error rate over the window', async () => {
+  const circuit = breaker({ failureThreshold: 10 });
+  await circuit.run(async () => 'ok');
+  await assert.rejects(circuit.run(fail()));
+  await circuit.run(async () => 'ok');
+  await assert.rejects(circuit.run(fail()));
+  const snapshot = circuit.snapshot();
+  assert.equal(snapshot.recentCalls, 4);
+  assert.equal(snapshot.recentFailures, 2);
+  assert.equal(snapshot.errorRate, 0.5);
+});
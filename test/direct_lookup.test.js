@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const test = require('node:test');
+
+// Both are read when upstream_http loads, so they must be set before the require below.
+process.env.UPSTREAM_MODE = 'replay';
+process.env.FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'upstream');
+
+const {
+  blockNotFoundError,
+  fetchBusesForBlock,
+  fetchDirectResult,
+  fetchLocationForBus,
+  resolveCanonicalBlock,
+} = require('../direct_lookup');
+const { renderMetrics } = require('../metrics');
+
+function busPicks(basis) {
+  const m = renderMetrics().match(new RegExp(`^octracker_current_bus_picks_total\\{basis="${basis}"\\} (\\d+)$`, 'm'));
+  return m ? Number(m[1]) : 0;
+}
+
+test('resolveCanonicalBlock maps a short run number to the listed block', async () => {
+  assert.equal(await resolveCanonicalBlock('44-07'), '44-07');
+  assert.equal(await resolveCanonicalBlock('44-7'), '44-07');
+  assert.equal(await resolveCanonicalBlock('61-05'), null);
+});
+
+test('a block missing from the list gets same-route suggestions', async () => {
+  const err = await blockNotFoundError('61-05');
+  assert.equal(err.code, 404);
+  assert.deepEqual(err.suggestions, ['61-04']);
+});
+
+test('fetchBusesForBlock picks the bus with the latest telemetry and reports the swap', async () => {
+  const result = await fetchBusesForBlock('44-07');
+  assert.equal(result.currentBus, '4633');
+  assert.deepEqual(result.vehicles.map((v) => v.busNumber), ['4601', '4633']);
+  assert.equal(result.swaps.length, 1);
+  assert.equal(result.trips.length, 4);
+});
+
+test('fetchBusesForBlock fails with 404 when no bus is assigned yet', async () => {
+  await assert.rejects(fetchBusesForBlock('11-02'), { code: 404, message: 'No bus numbers found for block: 11-02' });
+});
+
+test('fetchBusesForBlock fails with 404 when BetterTransit has no trips for the block', async () => {
+  await assert.rejects(fetchBusesForBlock('61-04'), { code: 404, message: 'Block not found: 61-04' });
+});
+
+test('fetchLocationForBus parses the location out of the TransSee page', async () => {
+  const result = await fetchLocationForBus('4633');
+  assert.equal(result.locationText, 'Vehicle 4633 44 going Billings Bridge ↑ Aprchg Bank & Heron on Bank');
+  assert.deepEqual(result.locationDetails, {
+    relation: 'approaching',
+    stop: 'Bank & Heron',
+    street: 'Bank',
+    heading: 'N',
+    route: '44',
+    direction: 'Billings Bridge',
+    lastSeenSec: 72,
+    timedOut: false,
+    stale: false,
+  });
+});
+
+test('fetchLocationForBus marks a timed-out vehicle as stale', async () => {
+  const result = await fetchLocationForBus('8401');
+  assert.equal(result.locationText, 'Vehicle 8401 95 going Barrhaven Centre ↓ Past Baseline Station on Woodroffe');
+  assert.equal(result.locationDetails.timedOut, true);
+  assert.equal(result.locationDetails.stale, true);
+});
+
+test('fetchLocationForBus fails with 404 when TransSee has no vehicle', async () => {
+  await assert.rejects(fetchLocationForBus('9999'), { code: 404, message: 'No location found for bus 9999' });
+});
+
+test('replay never reaches the network for an unrecorded URL', async () => {
+  await assert.rejects(fetchLocationForBus('1234'), { code: 503, message: /^No recorded fixture for / });
+});
+
+test('current-bus picks are counted once per block lookup, not per scan', async () => {
+  const before = busPicks('actual');
+  await fetchBusesForBlock('44-07');
+  assert.equal(busPicks('actual'), before);
+
+  const result = await fetchDirectResult('44-07');
+  assert.equal(result.buses[0].busNumber, '4633');
+  assert.equal(busPicks('actual'), before + 1);
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+
+const { buildVehicleHistory } = require('../block_trips');
+const { htmlToLines, parseLocationLine, pickBestLocationRawLine } = require('../location_parser');
+
+// Each TransSee page is saved twice: the HTML the direct path fetches and the text the browser fallback
+// reads with innerText. Both must give the expected line, so the two paths cannot drift apart again.
+const PAGES_DIR = path.join(__dirname, '..', 'fixtures', 'pages');
+const expected = JSON.parse(fs.readFileSync(path.join(PAGES_DIR, 'expected.json'), 'utf8'));
+
+function readPage(name) {
+  return fs.readFileSync(path.join(PAGES_DIR, name), 'utf8');
+}
+
+for (const { page, bus, rawLine, details } of expected.transsee) {
+  test(`TransSee ${page}: direct path`, () => {
+    const line = pickBestLocationRawLine(htmlToLines(readPage(`transsee/${page}.html`)), bus);
+    assert.equal(line, rawLine);
+    if (details) assert.deepEqual(parseLocationLine(line), details);
+  });
+
+  test(`TransSee ${page}: browser path`, () => {
+    const lines = readPage(`transsee/${page}.txt`).split('\n').map((s) => s.trim()).filter(Boolean);
+    assert.equal(pickBestLocationRawLine(lines, bus), rawLine);
+  });
+}
+
+for (const { page, block, currentBus, buses, swaps } of expected.bettertransit) {
+  test(`BetterTransit ${page}`, () => {
+    const trips = JSON.parse(readPage(`bettertransit/${page}.json`))[block];
+    const history = buildVehicleHistory(trips);
+    assert.equal(history.currentBus, currentBus);
+    assert.deepEqual(history.vehicles.map((v) => v.busNumber), buses);
+    assert.deepEqual(history.swaps.map((s) => [s.fromBus, s.toBus, s.at]), swaps);
+  });
+}
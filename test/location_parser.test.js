@@ -0,0 +1,63 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+
+const { decodeEntities, htmlToLines, normalizeLine, pickBestLocationRawLine } = require('../location_parser');
+
+const HOSTILE_PAGE = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'pages', 'hostile.html'), 'utf8');
+
+test('a hostile page keeps only visible text, decoded once and without hidden characters', () => {
+  assert.deepEqual(htmlToLines(HOSTILE_PAGE), [
+    'Vehicle locations - OC Transpo - TransSee',
+    'Vehicle 4602 44 going Gatineau ↙ Near Rideau Centre on Mackenzie King Last seen 35 sec ago',
+    '<script>alert("escaped")</script> &lt;b&gt; &constructor; � � ��',
+    'Vehicle 4602knaB no near Spoofed',
+  ]);
+  assert.equal(
+    pickBestLocationRawLine(htmlToLines(HOSTILE_PAGE), '4602'),
+    'Vehicle 4602 44 going Gatineau ↙ Near Rideau Centre on Mackenzie King Last seen 35 sec ago'
+  );
+});
+
+test('script, style, template, noscript and comment blocks are dropped whatever their case', () => {
+  const html = [
+    '<SCRIPT type="module">alert(1)</SCRIPT >',
+    '<style media="all">p { color: red }</Style>',
+    '<template><p>inert</p></template>',
+    '<noscript>fallback</noscript>',
+    '<!-- hidden <p>comment</p> -->',
+    '<p>shown</p>',
+  ].join('\n');
+  assert.deepEqual(htmlToLines(html), ['shown']);
+});
+
+test('numeric and hex entities decode; invalid code points become U+FFFD', () => {
+  assert.equal(decodeEntities('&#65;&#x42;&#X43;'), 'ABC');
+  assert.equal(decodeEntities('&#x1F600;&#128512;'), '😀😀');
+  assert.equal(decodeEntities('&#0;'), '�');
+  assert.equal(decodeEntities('&#x110000;'), '�');
+  assert.equal(decodeEntities('&#9999999;'), '�');
+  // Lone surrogates, even as a pair of references, never build a character.
+  assert.equal(decodeEntities('&#xD800;'), '�');
+  assert.equal(decodeEntities('&#55357;&#56832;'), '��');
+});
+
+test('entities decode in one pass', () => {
+  assert.equal(decodeEntities('&amp;lt;script&amp;gt;'), '&lt;script&gt;');
+  assert.equal(decodeEntities('&AMP; &nbsp'), '& &nbsp');
+});
+
+test('entities named after Object.prototype members stay as written', () => {
+  for (const name of ['constructor', 'toString', 'valueOf', 'hasOwnProperty', '__proto__', 'isPrototypeOf']) {
+    assert.equal(decodeEntities(`a &${name}; b`), `a &${name}; b`);
+  }
+});
+
+test('bidi overrides, zero-width and control characters are removed', () => {
+  assert.equal(normalizeLine('Bus\u202e 4602\u202c on\u200b Bank\u2066\u2069\ufeff'), 'Bus 4602 on Bank');
+  assert.equal(normalizeLine('\u0000a\u0007b\u0085c'), 'abc');
+  assert.deepEqual(htmlToLines('<p>a&#x202E;b&#8203;c&#x2067;</p>'), ['abc']);
+});
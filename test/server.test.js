@@ -0,0 +1,230 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const http = require('node:http');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const ROOT = path.join(__dirname, '..');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Runs server.js (in replay mode unless `env` says otherwise) with its data files in a scratch directory.
+async function startServer(t, env = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'octracker-test-'));
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      UPSTREAM_MODE: 'replay',
+      FIXTURE_DIR: path.join(ROOT, 'fixtures', 'upstream'),
+      WATCH_STORE_PATH: path.join(dataDir, 'watches.json'),
+      HISTORY_PATH: path.join(dataDir, 'history.jsonl'),
+      DEBUG_DIR: path.join(dataDir, 'debug'),
+      ...env,
+    },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  t.after(() => {
+    child.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('listening on')) resolve();
+    });
+    child.once('exit', (code) => reject(new Error(`server exited with ${code}: ${output}`)));
+  });
+
+  return async (pathAndQuery, init) => {
+    const res = await fetch(`http://127.0.0.1:${port}${pathAndQuery}`, init);
+    return { status: res.status, body: await res.json() };
+  };
+}
+
+test('/api/track answers from recorded fixtures', async (t) => {
+  const get = await startServer(t);
+
+  const found = await get('/api/track?block=44-7');
+  assert.equal(found.status, 200);
+  assert.equal(found.body.block, '44-07');
+  assert.equal(found.body.source, 'direct');
+  assert.equal(found.body.buses[0].busNumber, '4633');
+  assert.equal(found.body.buses[0].locationDetails.stop, 'Bank & Heron');
+  assert.equal(found.body.swaps.length, 1);
+
+  const timedOut = await get('/api/track?block=95-03');
+  assert.equal(timedOut.status, 200);
+  assert.equal(timedOut.body.buses[0].busNumber, '8401');
+  assert.equal(timedOut.body.buses[0].locationDetails.timedOut, true);
+
+  const noBus = await get('/api/track?block=11-02');
+  assert.equal(noBus.status, 404);
+  assert.match(noBus.body.error, /No bus numbers found for block: 11-02/);
+
+  const missing = await get('/api/track?block=61-05');
+  assert.equal(missing.status, 404);
+  assert.deepEqual(missing.body.suggestions, ['61-04']);
+});
+
+test('/api/track reports each block separately in replay', async (t) => {
+  const get = await startServer(t);
+
+  const { status, body } = await get('/api/track?blocks=44-07,11-02,61-05');
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.results.map((r) => [r.block, r.ok, r.status]),
+    [
+      ['44-07', true, undefined],
+      ['11-02', false, 404],
+      ['61-05', false, 404],
+    ]
+  );
+});
+
+test('watch endpoints need WATCH_TOKEN and list redacted webhooks', async (t) => {
+  const request = await startServer(t, { WATCH_TOKEN: 'letmein', WEBHOOK_ALLOWED_HOSTS: '127.0.0.1:9' });
+  const create = (headers) =>
+    request('/api/watches', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify({ block: '11-02', webhookUrl: 'http://127.0.0.1:9/hook?key=secret' }),
+    });
+
+  assert.equal((await create({})).status, 401);
+  assert.equal((await request('/api/watches')).status, 401);
+
+  const created = await create({ authorization: 'Bearer letmein' });
+  assert.equal(created.status, 201);
+
+  const listed = await request('/api/watches', { headers: { authorization: 'Bearer letmein' } });
+  assert.deepEqual(listed.body.watches.map((w) => w.webhookUrl), ['http://127.0.0.1:9/…']);
+
+  const removed = await request(`/api/watches/${created.body.watch.id}`, { method: 'DELETE' });
+  assert.equal(removed.status, 401);
+});
+
+test('watch endpoints are off without WATCH_TOKEN', async (t) => {
+  const request = await startServer(t);
+  assert.equal((await request('/api/watches')).status, 404);
+});
+
+// A slow BetterTransit and TransSee stand-in with many blocks, so a scan is still queued while other requests arrive.
+// The last block has no bus assigned.
+async function startSlowUpstream(t, blockCount) {
+  const blocks = Array.from({ length: blockCount }, (_, i) => `44-${String(i + 1).padStart(2, '0')}`);
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stand-in');
+    if (url.pathname === '/api/blocks') {
+      res.end(JSON.stringify(blocks.map((blockId) => ({ blockId }))));
+      return;
+    }
+    if (url.pathname === '/api/blockDetails') {
+      const block = url.searchParams.get('blockId');
+      const busId = block === blocks[blocks.length - 1] ? '' : '4633';
+      const trips = [{ busId, routeId: '44', scheduledStartTime: '08:00', scheduledEndTime: '08:42', actualStartTime: '08:04' }];
+      setTimeout(() => res.end(JSON.stringify({ [block]: trips })), 100);
+      return;
+    }
+    res.end('<div>Vehicle 4633 44 going Billings Bridge ↑ Aprchg Bank &amp; Heron on Bank Last seen 20 sec ago</div>');
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => server.close());
+  return server.address().port;
+}
+
+test('a scan is fed to the queue in batches and leaves room for interactive lookups', async (t) => {
+  const upstreamPort = await startSlowUpstream(t, 40);
+  const request = await startServer(t, {
+    UPSTREAM_MODE: 'live',
+    BETTERTRANSIT_API_BASE: `http://127.0.0.1:${upstreamPort}`,
+    TRANSSEE_BASE: `http://localhost:${upstreamPort}`,
+    BROWSER_POOL_WARM: '0',
+    MAX_QUEUE_LENGTH: '10',
+    TRACK_CONCURRENCY: '2',
+    SCAN_BATCH_SIZE: '4',
+  });
+
+  const late = request('/api/late');
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  const health = await request('/healthz');
+  assert.ok(health.body.queueByPriority.bulk > 0, 'the scan should still be queued');
+  assert.ok(health.body.queueByPriority.bulk <= 4, `bulk queue was ${health.body.queueByPriority.bulk}`);
+
+  const tracked = await request('/api/track?block=44-07');
+  assert.equal(tracked.status, 200);
+  assert.equal(tracked.body.buses[0].busNumber, '4633');
+
+  const scan = await late;
+  assert.equal(scan.status, 200);
+  assert.equal(scan.body.scanned, 40);
+  assert.equal(scan.body.errors, 0);
+});
+
+test('background lookups from the board skip the browser fallback and diagnostic bundles', async (t) => {
+  const upstreamPort = await startSlowUpstream(t, 2);
+  const request = await startServer(t, {
+    UPSTREAM_MODE: 'live',
+    BETTERTRANSIT_API_BASE: `http://127.0.0.1:${upstreamPort}`,
+    TRANSSEE_BASE: `http://localhost:${upstreamPort}`,
+    BROWSER_POOL_WARM: '0',
+  });
+
+  const { status, body } = await request('/api/track?blocks=44-01,44-02&priority=background');
+  assert.equal(status, 200);
+  assert.equal(body.results[0].ok, true);
+  assert.equal(body.results[1].status, 404);
+  assert.equal(body.results[1].requestId, null);
+
+  const health = await request('/healthz');
+  assert.equal(health.body.browserPool.launches, 0);
+  assert.equal(health.body.diagnostics.saved, 0);
+});
+
+function previousDay(isoDate) {
+  const day = new Date(`${isoDate}T12:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return day.toISOString().slice(0, 10);
+}
+
+// History is appended in the background, after the response has gone out.
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 100));
+}
+
+test('history records changes from today\'s lookups with their service day and skips other days', async (t) => {
+  const request = await startServer(t);
+
+  const today = await request('/api/track?block=44-07');
+  assert.equal(today.status, 200);
+  // Same bus, same place: nothing new to record.
+  assert.equal((await request('/api/track?block=44-07&priority=background')).status, 200);
+  const past = await request(`/api/track?block=44-07&date=${previousDay(today.body.serviceDate)}`);
+  assert.equal(past.status, 200);
+  await settle();
+
+  const { body } = await request('/api/history/block/44-07');
+  assert.deepEqual(
+    body.rows.map((row) => [row.serviceDate, row.busNumber]),
+    [[today.body.serviceDate, '4633']]
+  );
+});
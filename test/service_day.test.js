@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const test = require('node:test');
+
+delete process.env.SERVICE_DAY_ROLLOVER_HOUR;
+const { timeToSeconds } = require('../block_trips');
+const { currentServiceDate, serviceDayClock } = require('../service_day');
+
+const HOUR = 3600;
+
+test('01:10 belongs to the previous service day', () => {
+  // 2026-03-15 01:10 in Ottawa (EDT).
+  assert.deepEqual(serviceDayClock(new Date('2026-03-15T05:10:00Z')), {
+    date: '2026-03-14',
+    seconds: 25 * HOUR + 10 * 60,
+  });
+  assert.equal(currentServiceDate(new Date('2026-03-15T05:10:00Z')), '2026-03-14');
+  // 04:00 starts the new service day.
+  assert.deepEqual(serviceDayClock(new Date('2026-03-15T08:00:00Z')), { date: '2026-03-15', seconds: 4 * HOUR });
+});
+
+test('the service day is right across the spring DST change', () => {
+  // 2026-03-08: clocks go from 02:00 EST to 03:00 EDT.
+  assert.deepEqual(serviceDayClock(new Date('2026-03-08T06:30:00Z')), {
+    date: '2026-03-07',
+    seconds: 25 * HOUR + 30 * 60,
+  });
+  assert.deepEqual(serviceDayClock(new Date('2026-03-08T07:30:00Z')), {
+    date: '2026-03-07',
+    seconds: 27 * HOUR + 30 * 60,
+  });
+  assert.deepEqual(serviceDayClock(new Date('2026-03-08T08:30:00Z')), {
+    date: '2026-03-08',
+    seconds: 4 * HOUR + 30 * 60,
+  });
+});
+
+test('both 01:30s on the autumn DST change belong to the previous service day', () => {
+  // 2026-11-01: clocks go from 02:00 EDT back to 01:00 EST, so 01:30 happens twice.
+  for (const instant of ['2026-11-01T05:30:00Z', '2026-11-01T06:30:00Z']) {
+    assert.deepEqual(serviceDayClock(new Date(instant)), { date: '2026-10-31', seconds: 25 * HOUR + 30 * 60 }, instant);
+  }
+});
+
+test('owl trip times written past 24:00 or as clock times compare equal', () => {
+  assert.equal(timeToSeconds('24:40'), timeToSeconds('00:40'));
+  assert.equal(timeToSeconds('25:10:30'), timeToSeconds('01:10:30'));
+  assert.ok(timeToSeconds('00:40') > timeToSeconds('23:50'));
+  assert.ok(timeToSeconds('04:30') < timeToSeconds('23:50'));
+  assert.equal(timeToSeconds('48:00'), null);
+  assert.equal(timeToSeconds('12:60'), null);
+});
+
+test('a later rollover hour moves the clock but not trip times', () => {
+  const script = `
+    const { buildVehicleHistory, timeToSeconds } = require('./block_trips');
+    const { serviceDayClock } = require('./service_day');
+    const trips = [
+      { busId: '4601', scheduledStartTime: '05:00', scheduledEndTime: '05:40' },
+      { busId: '4633', scheduledStartTime: '23:10', scheduledEndTime: '23:50' },
+    ];
+    console.log(JSON.stringify({
+      clock: serviceDayClock(new Date('2026-03-15T09:00:00Z')),
+      order: timeToSeconds('05:00') < timeToSeconds('23:10'),
+      currentBus: buildVehicleHistory(trips).currentBus,
+    }));
+  `;
+  const run = spawnSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, SERVICE_DAY_ROLLOVER_HOUR: '6' },
+    encoding: 'utf8',
+  });
+  assert.equal(run.status, 0, run.stderr);
+  assert.deepEqual(JSON.parse(run.stdout), {
+    // 05:00 EDT is still the previous service day with a 06:00 rollover.
+    clock: { date: '2026-03-14', seconds: 29 * HOUR },
+    order: true,
+    currentBus: '4633',
+  });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { circuits } = require('../circuit_breaker');
+const { trackBlock } = require('../track_block');
+
+// Just enough of a Playwright context for trackBlock's first step. `goto` either fails at once, like a
+// reset connection, or hangs until the page is closed, like a page that never loads.
+function fakeContext({ hang }) {
+  return {
+    async newPage() {
+      const pending = new Set();
+      const closeListeners = [];
+      let closed = false;
+      const closedError = () => new Error('page.goto: Target page, context or browser has been closed');
+      return {
+        goto() {
+          if (closed) return Promise.reject(closedError());
+          if (!hang) return Promise.reject(new Error('page.goto: net::ERR_CONNECTION_RESET'));
+          return new Promise((_resolve, reject) => pending.add(reject));
+        },
+        async close() {
+          if (closed) return;
+          closed = true;
+          for (const reject of pending) reject(closedError());
+          for (const listener of closeListeners) listener();
+        },
+        on(event, listener) {
+          if (event === 'close') closeListeners.push(listener);
+        },
+        async screenshot() {
+          throw new Error('no screenshots here');
+        },
+        url: () => 'about:blank',
+      };
+    },
+  };
+}
+
+const betterTransit = circuits['playwright:bettertransit'];
+
+test('a fallback aborted while its page hangs does not count as a success', async () => {
+  await assert.rejects(trackBlock('44-07', { context: fakeContext({ hang: false }) }));
+  const failuresBefore = betterTransit.snapshot().consecutiveFailures;
+  assert.ok(failuresBefore >= 1);
+
+  const controller = new AbortController();
+  const reason = Object.assign(new Error('Live lookup timed out'), { code: 504 });
+  setTimeout(() => controller.abort(reason), 50);
+  await assert.rejects(trackBlock('44-07', { context: fakeContext({ hang: true }), signal: controller.signal }), reason);
+
+  assert.equal(betterTransit.snapshot().consecutiveFailures, failuresBefore);
+});
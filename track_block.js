@@ -6,9 +6,27 @@ Install and run:
   npm i playwright
   npx playwright install
   node track_block.js "5-07"
+  node track_block.js 44-07 95-03 --source auto --table
+  node track_block.js 44-07 --watch 30 --ndjson
 */
 
 const { chromium } = require('playwright');
+const { circuits } = require('./circuit_breaker');
+const {
+  blockNotFoundError,
+  fetchDirectResult,
+  isLikelyBlock,
+  normalizeBlock,
+  resolveCanonicalBlock,
+} = require('./direct_lookup');
+const { currentServiceDate, parseServiceDate } = require('./service_day');
+const { createFreshness } = require('./ttl_cache');
+const { isReplayMode, isTransSeeUrl } = require('./upstream_http');
+const {
+  parseLocationLine,
+  pickBestLocationRawLine,
+  stripLocationSuffix,
+} = require('./location_parser');
 
 const BETTERTRANSIT_URL = 'https://bettertransitottawa.ca/tracker/blocks';
 const TRANSSEE_URL = 'https://transsee.ca/routelist?a=octranspo';
@@ -54,17 +72,6 @@ function extractBusNumbersFromTexts(texts) {
   return [...set];
 }
 
-function normalizeLine(line) {
-  return line.replace(/\s+/g, ' ').trim();
-}
-
-function cleanLocationLine(line) {
-  return normalizeLine(String(line || ''))
-    .replace(/\s+Last seen.*$/i, '')
-    .replace(/\s+Vehicle timed out.*$/i, '')
-    .trim();
-}
-
 function escapeRegExp(value) {
   return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
@@ -80,46 +87,6 @@ function extractBusNumbersFromBlockNodeText(blockNodeText) {
   return [...new Set(ids)];
 }
 
-function pickBestLocationLine(lines, busNumber) {
-  const cleaned = lines
-    .map(normalizeLine)
-    .filter((line) => line.length >= 12 && line.length <= 260);
-
-  const preciseCandidates = cleaned
-    .filter((line) => {
-      const lower = line.toLowerCase();
-      if (lower.includes('near stops by gps')) return false;
-      if (/(search|home|privacy|copyright|advert|menu)/i.test(lower)) return false;
-      const hasStreetContext = lower.includes(' on ') || lower.includes(' at ');
-      const hasPreciseMarker = /\b(aprchg|approach|approaching|past|near|at|arriving)\b/i.test(lower);
-      return hasStreetContext && hasPreciseMarker;
-    })
-    .sort((a, b) => b.length - a.length);
-
-  if (preciseCandidates.length > 0) return cleanLocationLine(preciseCandidates[0]);
-
-  const scored = cleaned
-    .map((line) => {
-      const lower = line.toLowerCase();
-      let score = 0;
-      if (line.includes(busNumber)) score += 55;
-      if (lower.includes(' on ')) score += 28;
-      if (lower.includes(' going ')) score += 24;
-      if (lower.startsWith('vehicle ') || lower.includes(`vehicle ${busNumber}`)) score += 18;
-      if (lower.startsWith('near ') || lower.includes(' near ')) score += 12;
-      if (/[↑↓↗↘↖↙]/.test(line)) score += 6;
-      if (lower.includes('near stops by gps')) score -= 100;
-      if (/(search|home|privacy|copyright|advert|menu)/i.test(line)) score -= 20;
-      score += Math.min(line.length, 140) / 14;
-      return { line, score };
-    })
-    .filter((x) => x.score >= 20)
-    .sort((a, b) => b.score - a.score || b.line.length - a.line.length);
-
-  if (scored.length > 0) return cleanLocationLine(scored[0].line);
-  return null;
-}
-
 async function safeScreenshot(page, filePath) {
   try {
     await page.screenshot({ path: filePath, fullPage: true });
@@ -128,6 +95,34 @@ async function safeScreenshot(page, filePath) {
   }
 }
 
+// With a diagnostics collector the screenshot and HTML go into the request's bundle;
+// without one (the CLI) the screenshot is written to `filePath` as before.
+async function captureFailure(page, label, diagnostics, filePath) {
+  if (!diagnostics) {
+    await safeScreenshot(page, filePath);
+    return;
+  }
+
+  diagnostics.noteUrl(page.url());
+  try {
+    diagnostics.addArtifact(`${label}.png`, await page.screenshot({ fullPage: true }));
+  } catch (_) {
+    // Ignore screenshot failures.
+  }
+  try {
+    diagnostics.addArtifact(`${label}.html`, await page.content());
+  } catch (_) {
+    // Ignore HTML capture failures.
+  }
+}
+
+function trackNavigations(page, diagnostics) {
+  if (!diagnostics) return;
+  page.on('framenavigated', (frame) => {
+    if (frame === page.mainFrame()) diagnostics.noteUrl(frame.url());
+  });
+}
+
 async function clickComboboxByLabel(page, labelRegex) {
   const candidates = [
     page.getByRole('combobox', { name: labelRegex }).first(),
@@ -265,7 +260,8 @@ async function findBusInput(page) {
   return null;
 }
 
-async function extractLocationTextFromTransSee(page, busNumber) {
+// Returns the raw location line ("Last seen ..." included) so the caller can parse its age.
+async function extractLocationLineFromTransSee(page, busNumber) {
   const scopes = ['main', '#content', '#main', 'body'];
   const lines = [];
 
@@ -279,19 +275,12 @@ async function extractLocationTextFromTransSee(page, busNumber) {
     }
   }
 
-  const firstPass = pickBestLocationLine(lines, busNumber);
+  const firstPass = pickBestLocationRawLine(lines, busNumber);
   if (firstPass) return firstPass;
 
   const bodyText = await page.locator('body').innerText().catch(() => '');
   const bodyLines = bodyText.split('\n').map((s) => s.trim()).filter(Boolean);
-  const secondPass = pickBestLocationLine(bodyLines, busNumber);
-  if (secondPass) return secondPass;
-
-  const regex = new RegExp(`[^\\n]{0,150}${busNumber}[^\\n]{0,150}`, 'i');
-  const m = bodyText.match(regex);
-  if (m && m[0]) return normalizeLine(m[0]);
-
-  return null;
+  return pickBestLocationRawLine(bodyLines, busNumber);
 }
 
 async function lookupBusOnTransSee(page, busNumber) {
@@ -300,13 +289,13 @@ async function lookupBusOnTransSee(page, busNumber) {
   await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
   await page.waitForTimeout(350);
 
-  let locationText = await retry(async () => {
-    const line = await extractLocationTextFromTransSee(page, String(busNumber));
+  let locationLine = await retry(async () => {
+    const line = await extractLocationLineFromTransSee(page, String(busNumber));
     if (!line) throw new Error('location not ready');
     return line;
   }, 2, 450).catch(() => null);
 
-  if (!locationText) {
+  if (!locationLine) {
     await page.goto(TRANSSEE_URL, { waitUntil: 'domcontentloaded', timeout: 30000 });
     await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
     await page.waitForTimeout(250);
@@ -325,18 +314,28 @@ async function lookupBusOnTransSee(page, busNumber) {
     await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
     await page.waitForTimeout(500);
 
-    locationText = await retry(async () => {
-      const line = await extractLocationTextFromTransSee(page, String(busNumber));
+    locationLine = await retry(async () => {
+      const line = await extractLocationLineFromTransSee(page, String(busNumber));
       if (!line) throw new Error('location not ready');
       return line;
     }, 3, 600).catch(() => null);
   }
 
-  if (!locationText) {
+  if (!locationLine) {
     throw new ExpectedFailure(`No location found for bus ${busNumber}`, 'transsee', busNumber);
   }
 
-  return { busNumber: String(busNumber), locationText, url: page.url() };
+  return {
+    busNumber: String(busNumber),
+    locationText: stripLocationSuffix(locationLine),
+    locationDetails: parseLocationLine(locationLine),
+    url: isTransSeeUrl(page.url()) ? page.url() : null,
+  };
+}
+
+// ExpectedFailure means the page loaded and simply had no answer, so the site itself is fine.
+function isPageFailure(err) {
+  return !(err instanceof ExpectedFailure);
 }
 
 async function createBrowser(headless = true) {
@@ -351,6 +350,38 @@ async function trackBlock(blockArg, options = {}) {
   let browser = null;
   let context = options.context || null;
   const headless = options.headless !== false;
+  const diagnostics = options.diagnostics || null;
+  const signal = options.signal || null;
+
+  // Aborting closes the open pages, so whatever Playwright call is pending rejects right away.
+  const openPages = new Set();
+  const aborted = () => Boolean(signal && signal.aborted);
+  const onAbort = () => {
+    for (const page of openPages) page.close().catch(() => {});
+  };
+  // After an abort, the "page closed" error a pending Playwright call rejects with is our doing. Flagging it
+  // `aborted` makes the circuit leave its state alone instead of counting the call as a success.
+  const onPage = (fn) => () =>
+    fn().catch((err) => {
+      if (aborted() && err && typeof err === 'object') err.aborted = true;
+      throw err;
+    });
+  if (signal) {
+    signal.throwIfAborted();
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  async function openPage() {
+    const page = await context.newPage();
+    openPages.add(page);
+    page.on('close', () => openPages.delete(page));
+    trackNavigations(page, diagnostics);
+    if (aborted()) {
+      await page.close().catch(() => {});
+      throw signal.reason;
+    }
+    return page;
+  }
 
   try {
     if (!context) {
@@ -359,12 +390,17 @@ async function trackBlock(blockArg, options = {}) {
       context.setDefaultTimeout(15000);
     }
 
-    const betterTransitPage = await context.newPage();
+    const betterTransitPage = await openPage();
     let busNumbers;
     try {
-      busNumbers = await selectBlockAndReadBuses(betterTransitPage, blockArg);
+      busNumbers = await circuits['playwright:bettertransit'].run(
+        onPage(() => selectBlockAndReadBuses(betterTransitPage, blockArg)),
+        isPageFailure
+      );
     } catch (err) {
-      await safeScreenshot(betterTransitPage, 'bettertransit_fail.png');
+      if (err.circuitOpen) throw err;
+      if (aborted()) throw signal.reason;
+      await captureFailure(betterTransitPage, 'bettertransit_fail', diagnostics, 'bettertransit_fail.png');
       if (err instanceof ExpectedFailure) throw err;
       throw new ExpectedFailure(`BetterTransit failure: ${err.message}`, 'bettertransit');
     } finally {
@@ -375,15 +411,21 @@ async function trackBlock(blockArg, options = {}) {
       throw new ExpectedFailure(`No bus numbers found for block: ${blockArg}`, 'bettertransit');
     }
 
-    const transSeePage = await context.newPage();
+    const transSeePage = await openPage();
     const buses = [];
     try {
       for (const busNumber of busNumbers) {
         try {
-          const result = await lookupBusOnTransSee(transSeePage, busNumber);
+          const result = await circuits['playwright:transsee'].run(
+            onPage(() => lookupBusOnTransSee(transSeePage, busNumber)),
+            isPageFailure
+          );
           buses.push(result);
         } catch (err) {
-          await safeScreenshot(transSeePage, `transsee_fail_${String(busNumber).replace(/[^0-9A-Za-z_-]/g, '_')}.png`);
+          if (err.circuitOpen) throw err;
+          if (aborted()) throw signal.reason;
+          const label = `transsee_fail_${String(busNumber).replace(/[^0-9A-Za-z_-]/g, '_')}`;
+          await captureFailure(transSeePage, label, diagnostics, `${label}.png`);
           if (err instanceof ExpectedFailure) throw err;
           throw new ExpectedFailure(`TransSee failure for bus ${busNumber}: ${err.message}`, 'transsee', busNumber);
         }
@@ -398,18 +440,225 @@ async function trackBlock(blockArg, options = {}) {
 
     return { block: blockArg, buses };
   } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
     if (browser) {
       await browser.close().catch(() => {});
     }
   }
 }
 
+const USAGE = `Usage: node track_block.js <block> [<block> ...] [options]
+
+Options:
+  --source direct|browser|auto  direct HTTP, Playwright, or direct with browser fallback (default: browser)
+  --json                        one JSON document (default)
+  --ndjson                      one JSON object per line
+  --table                       aligned text table
+  --watch <sec>                 re-poll every <sec> seconds and print only changes
+  --date YYYY-MM-DD             service day to look up (direct source only; default: current service day)
+  -h, --help                    show this help
+
+Exit codes: 0 all blocks found, ${EXIT_EXPECTED} expected failure (e.g. block not found), ${EXIT_UNEXPECTED} unexpected error.`;
+
+function parseCliArgs(argv) {
+  const options = { blocks: [], source: 'browser', format: 'json', watchSec: null, serviceDate: null, help: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg, undefined];
+    const takeValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      i += 1;
+      if (i >= argv.length) throw new ExpectedFailure(`Missing value for ${flag}\n\n${USAGE}`, 'input');
+      return argv[i];
+    };
+
+    if (flag === '-h' || flag === '--help') options.help = true;
+    else if (flag === '--json' || flag === '--ndjson' || flag === '--table') options.format = flag.slice(2);
+    else if (flag === '--source') options.source = takeValue();
+    else if (flag === '--watch') options.watchSec = Number(takeValue());
+    else if (flag === '--date') options.serviceDate = takeValue();
+    else if (flag.startsWith('-')) throw new ExpectedFailure(`Unknown option: ${flag}\n\n${USAGE}`, 'input');
+    else options.blocks.push(...arg.split(',').map(normalizeBlock).filter(Boolean));
+  }
+
+  if (options.help) return options;
+  if (!['direct', 'browser', 'auto'].includes(options.source)) {
+    throw new ExpectedFailure(`--source must be direct, browser or auto\n\n${USAGE}`, 'input');
+  }
+  try {
+    options.serviceDate = parseServiceDate(options.serviceDate);
+  } catch (err) {
+    throw new ExpectedFailure(err.message, 'input');
+  }
+  // The tracker page only shows the current service day.
+  if (options.serviceDate && options.serviceDate !== currentServiceDate() && options.source !== 'direct') {
+    throw new ExpectedFailure('--date for another service day needs --source direct', 'input');
+  }
+  if (options.watchSec !== null && !(options.watchSec >= 5)) {
+    throw new ExpectedFailure('--watch needs at least 5 seconds', 'input');
+  }
+  if (!options.blocks.length) throw new ExpectedFailure(USAGE, 'input');
+  const invalid = options.blocks.find((b) => !isLikelyBlock(b));
+  if (invalid) throw new ExpectedFailure(`Block format must look like 44-07: ${invalid}`, 'input');
+  return options;
+}
+
+function isExpectedError(err) {
+  return err instanceof ExpectedFailure || [400, 404].includes(Number(err && err.code));
+}
+
+// Runs lookups for the CLI. One browser is shared by every block and every --watch round.
+function createCliTracker({ source, headless, serviceDate = null }) {
+  let browserPromise = null;
+
+  async function lookupDirect(rawBlock) {
+    const block = await resolveCanonicalBlock(rawBlock, serviceDate);
+    if (!block) throw new ExpectedFailure((await blockNotFoundError(rawBlock, serviceDate)).message, 'bettertransit');
+    const { freshness, ...result } = await fetchDirectResult(block, serviceDate, createFreshness());
+    return result;
+  }
+
+  async function lookupBrowser(block) {
+    if (!browserPromise) browserPromise = createBrowser(headless);
+    const browser = await browserPromise;
+    const context = await browser.newContext();
+    context.setDefaultTimeout(15000);
+    try {
+      return { ...(await trackBlock(block, { context })), source: 'playwright' };
+    } finally {
+      await context.close().catch(() => {});
+    }
+  }
+
+  async function lookup(block) {
+    if (source === 'browser') return lookupBrowser(block);
+    if (source === 'direct') return lookupDirect(block);
+    try {
+      return await lookupDirect(block);
+    } catch (err) {
+      // Same rules as the server's fetchLiveResultWithFallback: no browser run for bad input, in replay mode,
+      // when TransSee itself is down (the browser reads the same host), or while a browser circuit is open.
+      if (Number(err.code) === 400 || isReplayMode()) throw err;
+      if (err.circuitOpen && err.source === 'transsee') throw err;
+      const blocked = [circuits['playwright:bettertransit'], circuits['playwright:transsee']].find((c) => c.isOpen());
+      if (blocked) throw blocked.openError();
+      return lookupBrowser(block);
+    }
+  }
+
+  async function run(blocks) {
+    const settle = (block) =>
+      lookup(block).then(
+        (result) => ({ ok: true, ...result }),
+        (err) => ({
+          ok: false,
+          block,
+          error: err && err.message ? err.message : String(err),
+          step: (err && err.step) || null,
+          expected: isExpectedError(err),
+        })
+      );
+
+    // Browser lookups share one Chromium, so they run one after another.
+    if (source === 'direct') return Promise.all(blocks.map(settle));
+    const results = [];
+    for (const block of blocks) results.push(await settle(block));
+    return results;
+  }
+
+  async function close() {
+    if (!browserPromise) return;
+    const browser = await browserPromise.catch(() => null);
+    if (browser) await browser.close().catch(() => {});
+  }
+
+  return { close, run };
+}
+
+function resultSignature(result) {
+  if (!result.ok) return `error|${result.error}`;
+  return result.buses.map((bus) => `${bus.busNumber}|${bus.locationText}`).join('\n');
+}
+
+function formatTable(results, timestamp) {
+  const rows = [];
+  for (const r of results) {
+    if (!r.ok) {
+      rows.push([r.block, '-', '-', `ERROR: ${r.error.split('\n')[0]}`]);
+      continue;
+    }
+    for (const bus of r.buses) rows.push([r.block, bus.busNumber, r.source || '-', bus.locationText]);
+  }
+  const header = ['BLOCK', 'BUS', 'SOURCE', 'LOCATION'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => String(row[i]).length)));
+  const line = (cells) =>
+    cells.map((cell, i) => (i === cells.length - 1 ? String(cell) : String(cell).padEnd(widths[i]))).join('  ');
+  const out = [header, ...rows].map(line);
+  if (timestamp) out.unshift(`# ${timestamp}`);
+  return `${out.join('\n')}\n`;
+}
+
+function printResults(results, format, { watching }) {
+  if (!results.length) return;
+  if (format === 'table') {
+    process.stdout.write(formatTable(results, watching ? new Date().toISOString() : null));
+  } else if (format === 'ndjson' || watching) {
+    const at = new Date().toISOString();
+    for (const r of results) process.stdout.write(`${JSON.stringify(watching ? { at, ...r } : r)}\n`);
+  } else {
+    process.stdout.write(JSON.stringify(results.length === 1 ? results[0] : results));
+  }
+  for (const r of results) {
+    if (!r.ok) console.error(`${r.block}: ${r.error}`);
+  }
+}
+
+function exitCodeFor(results) {
+  const failed = results.filter((r) => !r.ok);
+  if (!failed.length) return EXIT_SUCCESS;
+  return failed.every((r) => r.expected) ? EXIT_EXPECTED : EXIT_UNEXPECTED;
+}
+
 async function main() {
+  let tracker = null;
   try {
-    const result = await trackBlock(process.argv[2], { headless: process.env.HEADLESS !== '0' });
-    process.stdout.write(JSON.stringify(result));
-    process.exit(EXIT_SUCCESS);
+    const options = parseCliArgs(process.argv.slice(2));
+    if (options.help) {
+      process.stdout.write(`${USAGE}\n`);
+      process.exit(EXIT_SUCCESS);
+      return;
+    }
+
+    tracker = createCliTracker({
+      source: options.source,
+      headless: process.env.HEADLESS !== '0',
+      serviceDate: options.serviceDate,
+    });
+
+    if (options.watchSec === null) {
+      const results = await tracker.run(options.blocks);
+      await tracker.close();
+      printResults(results, options.format, { watching: false });
+      process.exit(exitCodeFor(results));
+      return;
+    }
+
+    process.on('SIGINT', async () => {
+      await tracker.close();
+      process.exit(EXIT_SUCCESS);
+    });
+
+    // --watch prints every block once, then only blocks whose bus, location or error changed.
+    const lastSignature = new Map();
+    for (;;) {
+      const results = await tracker.run(options.blocks);
+      const changed = results.filter((r) => lastSignature.get(r.block) !== resultSignature(r));
+      for (const r of changed) lastSignature.set(r.block, resultSignature(r));
+      printResults(changed, options.format, { watching: true });
+      await sleep(options.watchSec * 1000);
+    }
   } catch (err) {
+    if (tracker) await tracker.close();
     if (err instanceof ExpectedFailure) {
       console.error(err.message);
       process.exit(EXIT_EXPECTED);
@@ -0,0 +1,85 @@
+'use strict';
+
+const { createSharedTask } = require('./cancellation');
+
+// Small in-memory cache with stale-while-revalidate:
+// - younger than ttlMs: served as-is
+// - younger than ttlMs + staleMs: served stale while one background refresh runs
+// - older: loaded again before answering
+// `loader(signal)` is aborted only when every caller waiting on that load has aborted.
+function createTtlCache({ name, ttlMs, staleMs = 0, maxEntries = 500 }) {
+  const entries = new Map();
+  const inflight = new Map();
+  const stats = { hits: 0, staleHits: 0, misses: 0, refreshErrors: 0 };
+
+  function load(key, loader) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const task = createSharedTask(async (signal) => {
+      const value = await loader(signal);
+      entries.delete(key);
+      entries.set(key, { value, storedAt: Date.now() });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return value;
+    });
+    const done = () => inflight.delete(key);
+    task.promise.then(done, done);
+
+    inflight.set(key, task);
+    return task;
+  }
+
+  async function get(key, loader, signal) {
+    const entry = entries.get(key);
+    const ageMs = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (entry && ageMs < ttlMs) {
+      stats.hits += 1;
+      return { value: entry.value, cached: true, ageSec: Math.round(ageMs / 1000) };
+    }
+
+    if (entry && ageMs < ttlMs + staleMs) {
+      stats.staleHits += 1;
+      // The refresh has no caller waiting on it, so it is never aborted.
+      load(key, loader)
+        .join(null)
+        .catch(() => {
+          stats.refreshErrors += 1;
+        });
+      return { value: entry.value, cached: true, ageSec: Math.round(ageMs / 1000) };
+    }
+
+    stats.misses += 1;
+    const value = await load(key, loader).join(signal);
+    return { value, cached: false, ageSec: 0 };
+  }
+
+  function snapshot() {
+    const lookups = stats.hits + stats.staleHits + stats.misses;
+    return {
+      name,
+      ttlSec: Math.round(ttlMs / 1000),
+      staleSec: Math.round(staleMs / 1000),
+      size: entries.size,
+      ...stats,
+      hitRate: lookups ? Number(((stats.hits + stats.staleHits) / lookups).toFixed(3)) : null,
+    };
+  }
+
+  return { get, snapshot };
+}
+
+// Collects how fresh the pieces of one response were, for the `cached` / `ageSec` response fields.
+function createFreshness() {
+  return { cached: true, ageSec: 0 };
+}
+
+function noteFreshness(freshness, entry) {
+  if (!freshness) return;
+  freshness.cached = freshness.cached && entry.cached;
+  freshness.ageSec = Math.max(freshness.ageSec, entry.ageSec);
+}
+
+module.exports = { createFreshness, createTtlCache, noteFreshness };
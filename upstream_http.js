@@ -0,0 +1,215 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { circuits } = require('./circuit_breaker');
+const { createCounter } = require('./metrics');
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.RUN_TIMEOUT_MS || 25000);
+
+// Base URLs can point at a local stand-in server (http:// is allowed).
+const UPSTREAM_BASES = {
+  bettertransit: trimTrailingSlash(process.env.BETTERTRANSIT_API_BASE || 'https://bus.ajay.app'),
+  transsee: trimTrailingSlash(process.env.TRANSSEE_BASE || 'https://transsee.ca'),
+};
+
+// live: hit upstream. record: hit upstream and save every response. replay: serve saved responses only.
+const UPSTREAM_MODE = ['record', 'replay'].includes(process.env.UPSTREAM_MODE) ? process.env.UPSTREAM_MODE : 'live';
+const FIXTURE_DIR = path.resolve(process.env.FIXTURE_DIR || path.join(__dirname, 'fixtures', 'upstream'));
+
+let replayIndex = null;
+
+const upstreamErrors = createCounter({
+  name: 'octracker_upstream_errors_total',
+  help: 'Failed upstream HTTP requests by host and status (HTTP code, timeout or network).',
+  labelNames: ['host', 'status'],
+});
+
+function trimTrailingSlash(url) {
+  return String(url).replace(/\/+$/, '');
+}
+
+function upstreamUrl(source, pathAndQuery) {
+  return `${UPSTREAM_BASES[source]}${pathAndQuery}`;
+}
+
+// Links we hand to users must stay on TransSee: the configured base (which may be a local stand-in) or
+// transsee.ca itself, which the browser fallback visits. A page that redirected elsewhere gets no link.
+function isTransSeeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return false;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol) || parsed.username || parsed.password) return false;
+  if (parsed.origin === new URL(UPSTREAM_BASES.transsee).origin) return true;
+  return parsed.protocol === 'https:' && /^(?:www\.)?transsee\.ca$/i.test(parsed.hostname);
+}
+
+function isReplayMode() {
+  return UPSTREAM_MODE === 'replay';
+}
+
+// Fixtures are keyed by source name rather than host so recordings replay against any configured base.
+function fixtureKeyForUrl(url) {
+  for (const [source, base] of Object.entries(UPSTREAM_BASES)) {
+    if (url.startsWith(base)) return `${source}:${url.slice(base.length)}`;
+  }
+  return url;
+}
+
+function sourceForUrl(url) {
+  return Object.keys(UPSTREAM_BASES).find((source) => url.startsWith(UPSTREAM_BASES[source])) || null;
+}
+
+// 4xx answers mean the upstream is up; only network errors, timeouts, 429 and 5xx count against its circuit.
+function isUpstreamFailure(err) {
+  const status = Number(err && err.code);
+  return !(status >= 400 && status < 500) || status === 429;
+}
+
+// The service date changes daily, so replay also matches a fixture with the date parameter ignored.
+function datelessKey(key) {
+  return key
+    .replace(/([?&])date=[^&]*(&?)/, (_, lead, trail) => (trail ? lead : ''))
+    .replace(/[?&]$/, '');
+}
+
+function fixtureFileName(key) {
+  const source = key.split(':')[0].replace(/[^a-z0-9_-]/gi, '_').slice(0, 32);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  return `${source}-${hash}.json`;
+}
+
+function loadReplayIndex() {
+  if (replayIndex) return replayIndex;
+  replayIndex = new Map();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(FIXTURE_DIR).filter((f) => f.endsWith('.json')).sort();
+  } catch (_) {
+    // No fixtures recorded yet.
+  }
+
+  for (const file of files) {
+    try {
+      const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+      const key = fixture.key || fixtureKeyForUrl(String(fixture.url || ''));
+      // Later recordings win for exact keys; the first one wins for the date-less key.
+      replayIndex.set(key, fixture);
+      const loose = `~${datelessKey(key)}`;
+      if (!replayIndex.has(loose)) replayIndex.set(loose, fixture);
+    } catch (err) {
+      console.error(`Skipping unreadable fixture ${file}: ${err.message}`);
+    }
+  }
+  return replayIndex;
+}
+
+function settleResponse(url, status, body, resolve, reject) {
+  if (status >= 400) {
+    const err = new Error(`HTTP ${status} for ${url}`);
+    err.code = status;
+    reject(err);
+    return;
+  }
+  resolve(body);
+}
+
+function replayGetText(url) {
+  return new Promise((resolve, reject) => {
+    const index = loadReplayIndex();
+    const key = fixtureKeyForUrl(url);
+    const fixture = index.get(key) || index.get(`~${datelessKey(key)}`);
+    if (!fixture) {
+      reject(Object.assign(new Error(`No recorded fixture for ${url}`), { code: 503 }));
+      return;
+    }
+    settleResponse(url, Number(fixture.status) || 200, String(fixture.body ?? ''), resolve, reject);
+  });
+}
+
+async function recordFixture(url, status, body) {
+  const key = fixtureKeyForUrl(url);
+  const fixture = { url, key, status, recordedAt: new Date().toISOString(), body };
+  try {
+    await fs.promises.mkdir(FIXTURE_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(FIXTURE_DIR, fixtureFileName(key)), `${JSON.stringify(fixture, null, 2)}\n`);
+  } catch (err) {
+    console.error(`Failed to record fixture for ${url}: ${err.message}`);
+  }
+}
+
+// Aborting `signal` destroys the socket; the request then rejects with an `aborted` error.
+function httpGetText(url, timeoutMs = DEFAULT_TIMEOUT_MS, signal = null) {
+  if (isReplayMode()) return replayGetText(url);
+
+  const circuit = circuits[sourceForUrl(url)];
+  if (!circuit) return liveGetText(url, timeoutMs, signal);
+  return circuit.run(() => liveGetText(url, timeoutMs, signal), isUpstreamFailure);
+}
+
+function noteUpstreamError(url, err) {
+  let host = 'unknown';
+  try {
+    host = new URL(url).host;
+  } catch (_) {
+    // Keep the placeholder.
+  }
+  const status = Number.isInteger(err.code) ? String(err.code) : err.timedOut ? 'timeout' : 'network';
+  upstreamErrors.inc({ host, status });
+}
+
+function liveGetText(url, timeoutMs, signal) {
+  return new Promise((resolve, reject) => {
+    const abortedError = () => Object.assign(new Error(`Request aborted for ${url}`), { aborted: true });
+    if (signal && signal.aborted) {
+      reject(abortedError());
+      return;
+    }
+
+    const client = url.startsWith('http://') ? http : https;
+    const req = client.get(url, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', async () => {
+        if (UPSTREAM_MODE === 'record') {
+          await recordFixture(url, res.statusCode, data);
+        }
+        settleResponse(url, res.statusCode, data, resolve, reject);
+      });
+    });
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(Object.assign(new Error(`Request timeout for ${url}`), { timedOut: true }));
+    });
+
+    if (signal) {
+      const onAbort = () => req.destroy(abortedError());
+      signal.addEventListener('abort', onAbort, { once: true });
+      req.on('close', () => signal.removeEventListener('abort', onAbort));
+    }
+
+    req.on('error', reject);
+  }).catch((err) => {
+    if (!err.aborted) noteUpstreamError(url, err);
+    throw err;
+  });
+}
+
+module.exports = {
+  FIXTURE_DIR,
+  UPSTREAM_BASES,
+  UPSTREAM_MODE,
+  httpGetText,
+  isReplayMode,
+  isTransSeeUrl,
+  upstreamUrl,
+};
@@ -0,0 +1,228 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function postJson(url, body) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const client = url.startsWith('http://') ? http : https;
+    const req = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
+      },
+      (res) => {
+        res.resume();
+        res.on('end', () => {
+          if (res.statusCode >= 400) {
+            reject(new Error(`Webhook returned HTTP ${res.statusCode}`));
+            return;
+          }
+          resolve(res.statusCode);
+        });
+      }
+    );
+    req.setTimeout(WEBHOOK_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Webhook timeout for ${url}`));
+    });
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+function parseWebhookUrl(value) {
+  try {
+    const url = new URL(String(value || ''));
+    return (url.protocol === 'http:' || url.protocol === 'https:') && !url.username && !url.password ? url : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Entries are either a hostname ("hooks.example.com", any port) or host and port ("127.0.0.1:9000").
+function isAllowedWebhookHost(url, allowedHosts) {
+  const host = url.host.toLowerCase();
+  const hostname = url.hostname.toLowerCase();
+  return allowedHosts.some((entry) => entry === host || entry === hostname);
+}
+
+// Lists show only where a webhook goes; the path and query often carry a secret.
+function redactWatch(watch) {
+  const url = parseWebhookUrl(watch.webhookUrl);
+  return { ...watch, webhookUrl: url ? `${url.origin}/…` : null };
+}
+
+// Watches a set of blocks and POSTs an event to each watch's webhook when its bus is assigned,
+// changes, or the block ends. Watches are kept in a JSON file so they survive a restart.
+// `checkBlock(block)` resolves to { currentBus, ended } or rejects with code 404 when no bus is assigned.
+// Webhooks may only target `allowedHosts`, so a watch cannot make the server call into its own network.
+function createWatcher({ storePath, pollMs, maxWatches = 200, allowedHosts = [], checkBlock }) {
+  const watches = new Map();
+  const hosts = allowedHosts.map((entry) => String(entry).trim().toLowerCase()).filter(Boolean);
+
+  function isAllowedWebhook(value) {
+    const url = parseWebhookUrl(value);
+    return Boolean(url && isAllowedWebhookHost(url, hosts));
+  }
+  const checking = new Set();
+  let timer = null;
+  let polling = false;
+
+  function load() {
+    try {
+      const rows = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      for (const row of Array.isArray(rows) ? rows : []) {
+        if (!row || !row.id || !row.block) continue;
+        // A host taken off the allowlist since the watch was saved is never called again.
+        if (isAllowedWebhook(row.webhookUrl)) watches.set(row.id, row);
+        else console.error(`Dropping watch ${row.id}: its webhook host is not in the allowlist.`);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`Failed to load watches from ${storePath}: ${err.message}`);
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(storePath), { recursive: true });
+      const tmpPath = `${storePath}.tmp`;
+      fs.writeFileSync(tmpPath, `${JSON.stringify([...watches.values()], null, 2)}\n`);
+      fs.renameSync(tmpPath, storePath);
+    } catch (err) {
+      console.error(`Failed to save watches to ${storePath}: ${err.message}`);
+    }
+  }
+
+  async function notify(watch, event, busNumber) {
+    const body = {
+      event,
+      watchId: watch.id,
+      block: watch.block,
+      busNumber,
+      previousBusNumber: watch.lastBusNumber,
+      at: new Date().toISOString(),
+    };
+    await postJson(watch.webhookUrl, body);
+    watch.lastEvent = event;
+    watch.lastEventAt = body.at;
+  }
+
+  async function checkWatch(watch) {
+    // A new watch is checked right away, which can overlap with a running poll.
+    if (checking.has(watch.id)) return;
+    checking.add(watch.id);
+    try {
+      await checkWatchNow(watch);
+    } finally {
+      checking.delete(watch.id);
+    }
+  }
+
+  async function checkWatchNow(watch) {
+    let result;
+    try {
+      result = await checkBlock(watch.block);
+    } catch (err) {
+      if (Number(err.code) !== 404) throw err;
+      result = { currentBus: null, ended: false };
+    }
+
+    const busNumber = result.currentBus || null;
+    if (busNumber && busNumber !== watch.lastBusNumber) {
+      await notify(watch, watch.lastBusNumber ? 'bus-changed' : 'bus-assigned', busNumber);
+      watch.lastBusNumber = busNumber;
+    }
+
+    if (result.ended) {
+      await notify(watch, 'block-ended', busNumber);
+      watches.delete(watch.id);
+    }
+  }
+
+  async function pollAll() {
+    if (polling) return;
+    polling = true;
+    try {
+      for (const watch of [...watches.values()]) {
+        try {
+          await checkWatch(watch);
+          watch.lastError = null;
+        } catch (err) {
+          // Failed checks and webhook deliveries are retried on the next poll.
+          watch.lastError = String(err.message || 'Watch check failed').slice(0, 300);
+        }
+        watch.lastCheckedAt = new Date().toISOString();
+      }
+      save();
+    } finally {
+      polling = false;
+    }
+  }
+
+  function start() {
+    load();
+    timer = setInterval(pollAll, pollMs);
+    if (watches.size) pollAll();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function add(block, webhookUrl) {
+    const url = parseWebhookUrl(webhookUrl);
+    if (!url) {
+      throw Object.assign(new Error('webhookUrl must be an http(s) URL without credentials.'), { code: 400 });
+    }
+    if (!isAllowedWebhookHost(url, hosts)) {
+      throw Object.assign(new Error(`Webhook host ${url.host} is not allowed. Add it to WEBHOOK_ALLOWED_HOSTS.`), {
+        code: 400,
+      });
+    }
+    if (watches.size >= maxWatches) {
+      throw Object.assign(new Error(`At most ${maxWatches} watches are allowed.`), { code: 400 });
+    }
+
+    const watch = {
+      id: crypto.randomBytes(8).toString('hex'),
+      block,
+      webhookUrl: String(webhookUrl),
+      createdAt: new Date().toISOString(),
+      lastBusNumber: null,
+      lastEvent: null,
+      lastEventAt: null,
+      lastCheckedAt: null,
+      lastError: null,
+    };
+    watches.set(watch.id, watch);
+    save();
+    checkWatch(watch)
+      .catch((err) => {
+        watch.lastError = String(err.message || 'Watch check failed').slice(0, 300);
+      })
+      .finally(save);
+    return watch;
+  }
+
+  function remove(id) {
+    const existed = watches.delete(id);
+    if (existed) save();
+    return existed;
+  }
+
+  function list() {
+    return [...watches.values()];
+  }
+
+  return { add, list, pollAll, remove, start, stop };
+}
+
+module.exports = { createWatcher, redactWatch };